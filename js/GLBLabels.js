@@ -0,0 +1,126 @@
+/**
+ * GLBLabels
+ *
+ * Traduce los nombres de nodo que deja el exportador (polySurface870.001,
+ * sentra14_model_21:light:…) a nombres legibles con número de pieza,
+ * descripción y categoría, en varios idiomas.
+ *
+ * Cada clave es un nombre exacto, un glob (led_*, polySurface9?) o una
+ * expresión regular entre barras (/^polySurface9\d+$/). El valor es un
+ * texto o { label, partNumber, description, category }; label y
+ * description pueden ser { en: '…', es: '…' }.
+ *
+ * GLTFLoader sanea los nombres de nodo (quita . : / [ ]); con la opción
+ * sanitize las claves exactas y los globs se aceptan tal como vienen en
+ * el fichero. Las expresiones regulares se aplican al nombre saneado.
+ */
+class GLBLabels {
+  /**
+   * @param {Object} [entries]
+   * @param {Object} [options] { language, fallbackLanguage, sanitize }
+   */
+  constructor(entries = {}, options = {}) {
+    this.language =
+      options.language ||
+      (typeof navigator !== 'undefined' && navigator.language
+        ? navigator.language.slice(0, 2)
+        : 'en');
+    this.fallbackLanguage = options.fallbackLanguage || 'en';
+    this.sanitize = options.sanitize || null;
+    this.exact = {};
+    this.patterns = [];
+    this.merge(entries);
+  }
+
+  /** Añade las entradas de un JSON con el mismo formato que config.labels. */
+  load(url) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error('HTTP ' + res.status + ' ' + url);
+        return res.json();
+      })
+      .then((entries) => this.merge(entries));
+  }
+
+  merge(entries) {
+    for (const key in entries) {
+      const entry = this._normalize(entries[key]);
+      this._keys(key).forEach((k) => {
+        const regex = this._toRegExp(k);
+        if (regex) this.patterns.push({ regex, entry });
+        else this.exact[k] = entry;
+      });
+    }
+    return this;
+  }
+
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  /**
+   * Entrada resuelta en el idioma actual, o null si no hay mapeo.
+   * @returns {{label, partNumber, description, category}|null}
+   */
+  lookup(name) {
+    if (!name) return null;
+    let entry = this.exact[name];
+    if (!entry) {
+      const match = this.patterns.find((p) => p.regex.test(name));
+      entry = match ? match.entry : null;
+    }
+    if (!entry) return null;
+    return {
+      label: this._translate(entry.label),
+      partNumber: entry.partNumber || null,
+      description: this._translate(entry.description),
+      category: entry.category || null,
+    };
+  }
+
+  label(name) {
+    const entry = this.lookup(name);
+    return entry ? entry.label : null;
+  }
+
+  /** Nombres de la lista que aún no tienen mapeo. */
+  unmapped(names) {
+    return [...new Set(names)].filter((name) => !this.lookup(name));
+  }
+
+  /** La clave tal cual y, si cambia, saneada como los nombres de nodo. */
+  _keys(key) {
+    if (!this.sanitize || /^\/.+\/[a-z]*$/.test(key)) return [key];
+    const sanitized = this.sanitize(key);
+    return sanitized === key ? [key] : [key, sanitized];
+  }
+
+  /** Un texto o un mapa de idiomas es sólo el label. */
+  _normalize(value) {
+    const fields = ['label', 'partNumber', 'description', 'category'];
+    if (value === null || typeof value !== 'object') return { label: value };
+    return fields.some((f) => f in value) ? value : { label: value };
+  }
+
+  _translate(value) {
+    if (value == null || typeof value === 'string') return value ?? null;
+    return (
+      value[this.language] ??
+      value[this.fallbackLanguage] ??
+      Object.values(value)[0] ??
+      null
+    );
+  }
+
+  /** '/…/flags' → RegExp; claves con * o ? → glob; el resto, null. */
+  _toRegExp(key) {
+    const literal = key.match(/^\/(.+)\/([a-z]*)$/);
+    if (literal) return new RegExp(literal[1], literal[2]);
+    if (!/[*?]/.test(key)) return null;
+    const source = key
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp('^' + source + '$');
+  }
+}
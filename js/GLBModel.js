@@ -4,15 +4,162 @@
  * @email: silenceace@gmail.com
  *
  * Soporta:
- * - Modelos base (carro, llantas…).
- * - Tecla “1” para alternar luz_off / luz_on.
+ * - Varias instancias por página: new GLBModel(container, config); los
+ *   atajos de teclado van al visor con el foco (config.keyboard: false
+ *   los desactiva).
+ * - Modelos base (carro, llantas…), cargados en paralelo con progreso
+ *   ponderado por bytes, reintentos y fallback por modelo.
+ * - Tecla “1” para alternar luz_off / luz_on (precargados, se alterna
+ *   la visibilidad), estados definidos como overrides de material o
+ *   variantes KHR_materials_variants (selectVariant).
  * - Animaciones en bucle, escala/offset consistente.
+ * - Estados múltiples por entrada con modos momentary, toggle, cycle y
+ *   select, y atajos con modificadores.
+ * - Clic o toque sobre un componente para accionarlo.
+ * - Panel de controles opcional generado desde keyModels (config.panel).
+ * - Resaltado y tooltip con el nombre del componente (config.hover).
+ * - Nombres legibles por nodo con GLBLabels (config.labels, language).
+ * - Árbol de componentes con mostrar/ocultar/aislar (config.outliner).
+ * - Rayos X: carrocería y cristales fantasma sobre el arnés (config.xray).
+ * - Planos de corte arrastrables con tapa rayada (config.clipping).
+ * - Vista explosionada animada de todos los modelos (config.explode).
+ * - Vistas con nombre y transición animada: config.viewpoints, cámaras
+ *   del glTF y goToView().
+ * - Doble clic para encuadrar un componente; Escape vuelve atrás.
+ * - Marcadores con ficha anclados a nodos o puntos (config.hotspots).
+ * - Notas de revisión sobre el modelo, guardadas en localStorage y
+ *   exportables en JSON (config.annotations).
+ * - Enlaces a la vista actual en el hash de la URL (config.deepLink).
+ * - Capturas a cualquier resolución, con fondo transparente o el de la
+ *   página (screenshot(), botón con config.screenshot).
+ * - Vídeo WebM de la vista, con paso fijo para un giro de 360° en bucle
+ *   (record(), botón con config.record).
+ * - Iluminación por imagen (HDR/EXR o cubemap prefiltrado con PMREM) y
+ *   presets de luces (config.environment, config.lighting).
+ * - Eventos: progress, modelLoaded, ready, error, stateChange, pick,
+ *   variantChange, visibilityChange, xrayChange, clipChange,
+ *   explodeChange, viewChange, focus, hotspot, annotatingChange,
+ *   annotationChange, select, recordStart, recordEnd, lightingChange.
+ * - dispose() libera listeners, controles y recursos de GPU.
  */
-class GLBModel {
+class GLBModel extends THREE.EventDispatcher {
+  /** Pesos (bytes) de un modelo o textura externa de tamaño desconocido. */
+  static MODEL_SIZE_ESTIMATE = 1024 * 1024;
+  static TEXTURE_SIZE_ESTIMATE = 256 * 1024;
+
+  /** Periodo máximo (ms) de un vídeo en bucle de record(). */
+  static MAX_LOOP_PERIOD = 60000;
+
+  /** Curvas de goToView(); t de 0 a 1. */
+  static EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) =>
+      t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  };
+
+  /**
+   * Presets de setLighting(): [color, intensidad] de la luz ambiente y de
+   * las direccionales (key = mainLight, la de sombras), exposición y el
+   * estudio generado que hace de entorno: paredes, color de los paneles
+   * (light) y paneles emisivos (position, size [ancho, alto], color,
+   * intensity).
+   */
+  static LIGHTING_PRESETS = {
+    studio: {
+      label: 'Studio',
+      exposure: 1,
+      ambient: ['#ffffff', 0.2],
+      key: ['#ffffff', 1.2],
+      fill: ['#ffffff', 0.4],
+      back: ['#ffffff', 0.6],
+      environment: {
+        walls: '#4a4a4a',
+        panels: [
+          { position: [0, 4.5, 0], size: [8, 8], intensity: 6 },
+          { position: [-9, 1, 0], size: [2, 6], intensity: 4 },
+          { position: [9, 1, 2], size: [2, 6], intensity: 3 },
+          { position: [0, 1, 9], size: [6, 2], intensity: 2 },
+        ],
+      },
+    },
+    workshop: {
+      label: 'Workshop',
+      exposure: 0.9,
+      ambient: ['#fff1e0', 0.3],
+      key: ['#fff4e5', 0.9],
+      fill: ['#ffe0c0', 0.3],
+      back: ['#d0e0ff', 0.3],
+      environment: {
+        walls: '#3d3228',
+        light: '#e8f0ff',
+        panels: [
+          { position: [-4, 4.8, 0], size: [0.6, 12], intensity: 8 },
+          { position: [0, 4.8, 0], size: [0.6, 12], intensity: 8 },
+          { position: [4, 4.8, 0], size: [0.6, 12], intensity: 8 },
+          // Ventana
+          { position: [-9.9, 1.5, 0], size: [8, 3], color: '#bcd4ff' },
+        ],
+      },
+    },
+    night: {
+      label: 'Night',
+      exposure: 0.7,
+      ambient: ['#405080', 0.15],
+      key: ['#ffd9a0', 0.6],
+      fill: ['#3050a0', 0.2],
+      back: ['#8090c0', 0.3],
+      environment: {
+        walls: '#05070d',
+        panels: [
+          // Farola y luna
+          {
+            position: [7, 4, 6],
+            size: [1.5, 1.5],
+            color: '#ffb060',
+            intensity: 12,
+          },
+          {
+            position: [-6, 4, -8],
+            size: [1, 1],
+            color: '#c8d8ff',
+            intensity: 6,
+          },
+        ],
+      },
+    },
+  };
+
+  /** Caras traseras que deja ver un corte: color de tapa, rayado opcional. */
+  static CAP_FRAGMENT = `#include <dithering_fragment>
+    if ( ! gl_FrontFacing ) {
+      float stripe = step( 0.5, fract( ( gl_FragCoord.x + gl_FragCoord.y ) / 8.0 ) );
+      gl_FragColor = vec4( capColor * ( 1.0 - 0.4 * stripe * capHatch ), 1.0 );
+    }`;
+
+  /**
+   * Compatibilidad con la API anterior: crea una instancia sobre
+   * config.containerId.
+   * @returns {Promise<GLBModel>} Se resuelve cuando los modelos base
+   *   están en escena.
+   */
   static init(config) {
+    return new GLBModel(config.containerId, config).ready;
+  }
+
+  /**
+   * @param {HTMLElement|string} container Elemento o id del contenedor.
+   * @param {Object} config
+   */
+  constructor(container, config = {}) {
+    super();
     // --- Configuración básica ---
     this.debug = !!config.debug;
-    this.container = document.getElementById(config.containerId);
+    this.container =
+      typeof container === 'string'
+        ? document.getElementById(container)
+        : container;
     this.autoRotate = !!config.autoRotate;
     this.rotationSpeed = config.rotationSpeed;
     this.cameraPosition = config.cameraPosition;
@@ -20,6 +167,8 @@ class GLBModel {
     this.lightIntensity = config.lightIntensity;
     this.ambientLightIntensity = config.ambientLightIntensity;
     this.enableControls = config.enableControls !== false;
+    // Atajos de teclado (keyModels, rayos X, vistas…); false los desactiva
+    this.keyboard = config.keyboard !== false;
     this.controlsConfig = {
       enableDamping: true,
       dampingFactor: 0.05,
@@ -39,37 +188,132 @@ class GLBModel {
     // Modelos por tecla
     this.keyModelsConfig = config.keyModels || {};
     this.keyModels = {};
+    // Nombres legibles: objeto de GLBLabels o URL de un JSON
+    this.labels = new GLBLabels(
+      typeof config.labels === 'object' ? config.labels : {},
+      {
+        language: config.language,
+        sanitize: THREE.PropertyBinding.sanitizeNodeName,
+      }
+    );
+    // ready y el informe de nodos sin mapear esperan a labels.json (si
+    // falla, se sigue con los nombres de nodo)
+    this._labelsReady =
+      typeof config.labels === 'string'
+        ? this.labels.load(config.labels).catch((e) => {
+            console.error('Error loading labels', config.labels, e);
+            const path = config.labels;
+            this.dispatchEvent({ type: 'error', path, error: e });
+          })
+        : Promise.resolve();
+    // Desplazamiento máximo (px) para que un toque cuente como clic
+    this.pickThreshold = config.pickThreshold ?? 5;
+    // Reintentos de carga: nº de reintentos, espera inicial (ms) y factor
+    this.retry = { retries: 2, delay: 500, factor: 2, ...config.retry };
 
     this.enabledShadow = !!config.enabledShadow;
     this.shadowAngle = config.shadowAngle || { x: 0, y: 1, z: 0 };
 
+    // Promesa de carga de los modelos base
+    this.ready = new Promise((resolve, reject) => {
+      this._resolveReady = resolve;
+      this._rejectReady = reject;
+    });
+    // Evita "unhandled rejection" si nadie escucha la promesa
+    this.ready.catch(() => {});
+    this._disposed = false;
+
     this.initLoadingScreen(config.loadingScreenId);
     this.initScene();
 
     this.clock = new THREE.Clock();
     this.mixers = [];
+    // Nodos cuya posición fija un clip en cada frame
+    this._animatedNodes = new WeakSet();
+
+    // Un único LoadingManager para modelos y texturas
+    this.loadingManager = new THREE.LoadingManager();
+    this._progressItems = new Map();
+    this._progress = 0;
+    this._keyModelLoads = {};
+    this._keyModelRoots = {};
+    this._modelRoots = {};
+    this._overrideMaterials = [];
+    // KHR_materials_variants: raíz → parser, y variante activa
+    this._variantParsers = new Map();
+    this._variantMaterials = new Set();
+    this._defaultMaterials = new Map();
+    this.variants = [];
+    this.variant = null;
+    // Raíces de los modelos base ya colocados en escena
+    this.models = [];
+    // Nodos ocultados por el usuario (ids del árbol de componentes)
+    this._hidden = new Set();
+    // Rayos X: malla → { material, renderOrder } originales y clones
+    this.xray = false;
+    this._xrayBase = new Map();
+    this._xrayGhosts = new Set();
+    this._xrayMaterials = { ghost: new Map(), glass: new Map(), top: new Map() };
+    // Planos de corte, los activos (compartidos por los materiales) y clones
+    this._clipPlanes = [];
+    this._clipActive = [];
+    this._clipBase = new Map();
+    this._clipMaterials = new Map();
+    // Capturas y grabaciones: sin ayudantes de edición en la imagen
+    this._capturing = false;
 
-    this.loadModels();
     this._setupKeyModels();
+    this._setupPicking();
+    if (config.panel) this._buildPanel(config.panel);
+    if (config.outliner) this._setupOutliner(config.outliner);
+    this._setupXray(config.xray);
+    this._setupClipping(config.clipping);
+    this._setupExplode(config.explode);
+    this._setupViewpoints(config.viewpoints);
+    if (config.focus !== false) this._setupFocus();
+    this._setupHotspots(config.hotspots || []);
+    this._setupAnnotations(config.annotations);
+    this.selection = null;
+    // id de un enlace cuyo nodo aún no ha cargado (raíz de keyModels)
+    this._pendingSelection = null;
+    if (config.deepLink) this._setupDeepLink(config.deepLink);
+    if (config.screenshot) this._setupScreenshot(config.screenshot);
+    if (config.record) this._setupRecord(config.record);
+    this._setupLighting(config);
+    if (config.hover) this._setupHover(config.hover);
+    this.loadModels();
+    this._animate = this.animate.bind(this);
     this.animate();
   }
 
-  static initLoadingScreen(id) {
-    this.loadingScreen = document.getElementById(id);
+  initLoadingScreen(id) {
+    // La pantalla de carga es opcional (p. ej. varias vistas en una página)
+    this.loadingScreen = id ? document.getElementById(id) : null;
+    if (!this.loadingScreen) return;
     this.progressBar = this.loadingScreen.querySelector('#progress-bar');
     this.progressElement = this.loadingScreen.querySelector('#progress');
     this.loadingText = this.loadingScreen.querySelector('#loading-text');
   }
 
-  static initScene() {
+  /** Tamaño del contenedor; si aún no tiene alto, el de la ventana. */
+  _getSize() {
+    const w = this.container.clientWidth || window.innerWidth;
+    const h = this.container.clientHeight || window.innerHeight;
+    return { width: w, height: h };
+  }
+
+  initScene() {
     this.scene = new THREE.Scene();
+    const { width, height } = this._getSize();
 
     this.camera = new THREE.PerspectiveCamera(
       75,
-      window.innerWidth / window.innerHeight,
+      width / height,
       0.1,
       1000
     );
+    // El de las vistas que no traen fov
+    this._initialFov = this.camera.fov;
     this.camera.position.set(
       this.cameraPosition.x,
       this.cameraPosition.y,
@@ -77,7 +321,7 @@ class GLBModel {
     );
 
     this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.setSize(width, height);
     this.renderer.setClearColor(0x000000, 0);
     this.renderer.outputEncoding = THREE.sRGBEncoding;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -97,14 +341,17 @@ class GLBModel {
 
     const ambient = new THREE.AmbientLight(0xffffff, this.ambientLightIntensity);
     this.scene.add(ambient);
+    this.ambientLight = ambient;
 
     const dir1 = new THREE.DirectionalLight(0xffffff, this.lightIntensity);
     dir1.position.set(1, 1, 1);
     this.scene.add(dir1);
+    this.fillLight = dir1;
 
     const dir2 = new THREE.DirectionalLight(0xffffff, this.lightIntensity);
     dir2.position.set(-1, -1, -1);
     this.scene.add(dir2);
+    this.backLight = dir2;
 
     this.mainLight = new THREE.DirectionalLight(0xffffff, this.lightIntensity);
     this.mainLight.position.set(
@@ -133,194 +380,3893 @@ class GLBModel {
       this.scene.add(this.shadowPlane);
     }
 
-    window.addEventListener('resize', this.onWindowResize.bind(this), false);
+    this._onResize = this.onWindowResize.bind(this);
+    window.addEventListener('resize', this._onResize, false);
   }
 
-  static loadModels() {
-    const loader = new THREE.GLTFLoader();
-    const paths = this.modelPaths;
-    const total = paths.length;
-    let loaded = 0;
+  loadModels() {
+    const entries = this.modelPaths.map((p) =>
+      typeof p === 'string' ? { path: p } : p
+    );
 
-    // Cargo primero el primer modelo (base)
-    loader.load(
-      paths[0],
-      (gltf) => {
-        const m0 = gltf.scene;
-        m0.rotation.set(
-          this.modelRotation.x,
-          this.modelRotation.y,
-          this.modelRotation.z
-        );
-        const box = new THREE.Box3().setFromObject(m0);
-        const center = box.getCenter(new THREE.Vector3());
-        const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
-        const scale = 2 / maxDim;
-        this._globalScale = scale;
-        this._globalOffset = center.multiplyScalar(scale);
-        m0.scale.setScalar(scale);
-        m0.position.sub(this._globalOffset);
-        m0.traverse((n) => {
-          if (n.isMesh) {
-            n.castShadow = this.enabledShadow;
-            n.receiveShadow = this.enabledShadow;
-          }
+    // Todo se pide a la vez: modelos base y todos los estados por tecla
+    const jobs = entries.map((entry) => this._loadWithFallback(entry));
+    const keyJobs = [];
+    for (const code in this.keyModels) {
+      const defs = this.keyModels[code].stateDefs;
+      for (const state in defs) {
+        const path = defs[state];
+        // Los estados por material no tienen fichero propio
+        if (typeof path !== 'string' || this._keyModelLoads[path]) continue;
+        const job = this._loadWithRetry(path).catch((error) => {
+          this._onLoadError(path, error);
+          return null;
         });
-        this.scene.add(m0);
-        if (gltf.animations?.length) {
-          const mix0 = new THREE.AnimationMixer(m0);
-          this.mixers.push(mix0);
-          gltf.animations.forEach((c) => {
-            const a = mix0.clipAction(c);
-            a.setLoop(THREE.LoopRepeat, Infinity).play();
-          });
-        }
-        loaded++;
-        this._updateProgress(loaded, total);
-
-        // Cargo los siguientes (llantas, etc.)
-        for (let i = 1; i < paths.length; i++) {
-          loader.load(
-            paths[i],
-            (g2) => {
-              const m2 = g2.scene;
-              m2.rotation.set(
-                this.modelRotation.x,
-                this.modelRotation.y,
-                this.modelRotation.z
-              );
-              m2.scale.setScalar(this._globalScale);
-              m2.position.sub(this._globalOffset);
-              m2.traverse((n) => {
-                if (n.isMesh) {
-                  n.castShadow = this.enabledShadow;
-                  n.receiveShadow = this.enabledShadow;
-                }
-              });
-              this.scene.add(m2);
-              if (g2.animations?.length) {
-                const mix2 = new THREE.AnimationMixer(m2);
-                this.mixers.push(mix2);
-                g2.animations.forEach((c) => {
-                  const a2 = mix2.clipAction(c);
-                  a2.setLoop(THREE.LoopRepeat, Infinity).play();
-                });
-              }
-              loaded++;
-              this._updateProgress(loaded, total);
-            },
-            undefined,
-            (e) => console.error('Error loading', paths[i], e)
-          );
-        }
-      },
-      undefined,
-      (e) => console.error('Error loading', paths[0], e)
+        this._keyModelLoads[path] = job;
+        keyJobs.push(job);
+      }
+    }
+
+    const labeled = Promise.all([Promise.all(jobs), this._labelsReady]);
+    const base = labeled.then(([results]) => {
+      const loaded = results.filter(Boolean);
+      if (this._disposed) {
+        loaded.forEach(({ gltf }) => this._disposeObject(gltf.scene));
+        return;
+      }
+      if (!loaded.length) {
+        this._rejectReady(new Error('No base model could be loaded'));
+        return;
+      }
+      // La normalización se aplica cuando han llegado todos los modelos base
+      this._normalize(loaded.map(({ gltf }) => gltf.scene));
+      loaded.forEach(({ gltf, path }) => {
+        const m = this._addModel(gltf);
+        this.models.push(m);
+        this._modelRoots[path] = m;
+        this.dispatchEvent({ type: 'modelLoaded', path, model: gltf.scene });
+      });
+      this._onBaseModelsLoaded();
+    });
+
+    Promise.all([base, ...keyJobs]).then(() => this._onAllLoaded());
+  }
+
+  /**
+   * Calcula escala y offset globales a partir de los modelos que sí
+   * cargaron (caja envolvente común, lado mayor = 2 unidades).
+   */
+  _normalize(roots) {
+    const box = new THREE.Box3();
+    roots.forEach((root) => {
+      root.rotation.set(
+        this.modelRotation.x,
+        this.modelRotation.y,
+        this.modelRotation.z
+      );
+      box.expandByObject(root);
+    });
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z) || 1;
+    const scale = 2 / maxDim;
+    this._globalScale = scale;
+    this._globalOffset = center.multiplyScalar(scale);
+    // Caja del conjunto ya normalizada: centro de la vista explosionada
+    this._assemblyBox = box.clone();
+    this._assemblyBox.min.multiplyScalar(scale).sub(this._globalOffset);
+    this._assemblyBox.max.multiplyScalar(scale).sub(this._globalOffset);
+  }
+
+  /** Coloca un gltf con la rotación/escala/offset globales y lo anima. */
+  _addModel(gltf) {
+    const m = gltf.scene;
+    m.rotation.set(
+      this.modelRotation.x,
+      this.modelRotation.y,
+      this.modelRotation.z
     );
+    m.scale.setScalar(this._globalScale);
+    m.position.sub(this._globalOffset);
+    m.traverse((n) => {
+      if (n.isMesh) {
+        n.castShadow = this.enabledShadow;
+        n.receiveShadow = this.enabledShadow;
+      }
+    });
+    this.scene.add(m);
+    if (gltf.userData.variants) this._registerVariants(m, gltf.parser);
+    if (gltf.cameras?.length) this._registerCameras(m);
+    if (gltf.animations?.length) this._playAnimations(m, gltf.animations);
+    return m;
+  }
+
+  /** Mixer propio con los clips en bucle; devuelve el mixer. */
+  _playAnimations(root, animations) {
+    // Los clips quedan en la raíz, como en three (record() los mide)
+    root.animations = animations;
+    const mix = new THREE.AnimationMixer(root);
+    this.mixers.push(mix);
+    animations.forEach((c) => {
+      c.tracks.forEach((track) => {
+        const parsed = THREE.PropertyBinding.parseTrackName(track.name);
+        if (parsed.propertyName !== 'position') return;
+        const node = THREE.PropertyBinding.findNode(root, parsed.nodeName);
+        if (node) this._animatedNodes.add(node);
+      });
+      const a = mix.clipAction(c);
+      a.setLoop(THREE.LoopRepeat, Infinity).play();
+    });
+    return mix;
+  }
+
+  /**
+   * Copia de una raíz ya colocada (comparte GPU) con sus animaciones, al
+   * mismo tiempo que el original. Con mallas con esqueleto hace falta
+   * SkeletonUtils (examples/js): clone() dejaría los huesos del original.
+   */
+  _cloneModel(placed, animations) {
+    const Utils = THREE.SkeletonUtils;
+    let skinned = false;
+    placed.traverse((n) => (skinned = skinned || !!n.isSkinnedMesh));
+    if (skinned && !Utils) {
+      console.warn('SkeletonUtils is needed to clone skinned models');
+    }
+    const m = skinned && Utils ? Utils.clone(placed) : placed.clone();
+    this.scene.add(m);
+    const parser = this._variantParsers.get(placed);
+    if (parser) this._variantParsers.set(m, parser);
+    if (animations?.length) {
+      const source = this.mixers.find((mix) => mix.getRoot() === placed);
+      const mix = this._playAnimations(m, animations);
+      if (source) mix.setTime(source.time);
+    }
+    return m;
+  }
+
+  /**
+   * Intenta la ruta principal y, si falla, entry.fallback.
+   * Resuelve null si ninguna cargó (el error ya se ha notificado).
+   */
+  _loadWithFallback(entry) {
+    const paths = [entry.path, entry.fallback].filter(Boolean);
+    const tryPath = (i) =>
+      this._loadWithRetry(paths[i])
+        .then((gltf) => ({ gltf, path: paths[i] }))
+        .catch((error) => {
+          const hasNext = i + 1 < paths.length;
+          this._onLoadError(paths[i], error, hasNext);
+          return hasNext ? tryPath(i + 1) : null;
+        });
+    return tryPath(0);
+  }
+
+  /** Reintenta con espera exponencial; los 4xx no se reintentan. */
+  _loadWithRetry(path) {
+    const { retries, delay, factor } = this.retry;
+    const item = this._trackItem(path);
+    const attempt = (n) =>
+      new Promise((resolve, reject) => {
+        const loader = new THREE.GLTFLoader(this.loadingManager);
+        loader.register((parser) => this._trackTextures(parser, item));
+        loader.load(
+          path,
+          resolve,
+          (e) => {
+            item.loaded = e.loaded;
+            // Content-Length, si el servidor lo envía
+            if (e.lengthComputable) item.size = e.total;
+            this._updateProgress();
+          },
+          reject
+        );
+      }).catch((error) => {
+        const status = error?.target?.status;
+        const isClientError = status >= 400 && status < 500;
+        if (n >= retries || isClientError || this._disposed) throw error;
+        const wait = delay * Math.pow(factor, n);
+        return new Promise((r) => setTimeout(r, wait)).then(() =>
+          attempt(n + 1)
+        );
+      });
+    return attempt(0).finally(() => {
+      item.done = true;
+      this._updateProgress();
+    });
+  }
+
+  _trackItem(url) {
+    let item = this._progressItems.get(url);
+    if (!item) {
+      item = { size: 0, loaded: 0, texSize: 0, texLoaded: 0, done: false };
+      this._progressItems.set(url, item);
+    }
+    item.done = false;
+    return item;
+  }
+
+  /**
+   * Plugin de GLTFLoader que suma al progreso las imágenes que
+   * GLTFParser.loadTextureImage decodifica (peso = bytes del bufferView).
+   */
+  _trackTextures(parser, item) {
+    const json = parser.json;
+    const sizeOf = (source) =>
+      source.bufferView !== undefined
+        ? json.bufferViews[source.bufferView].byteLength
+        : GLBModel.TEXTURE_SIZE_ESTIMATE;
+    item.texLoaded = 0;
+    item.texSize = (json.textures || []).reduce((sum, t) => {
+      const source = json.images?.[t.source];
+      return source ? sum + sizeOf(source) : sum;
+    }, 0);
+
+    const loadTextureImage = parser.loadTextureImage;
+    parser.loadTextureImage = (textureIndex, source, loader) =>
+      loadTextureImage
+        .call(parser, textureIndex, source, loader)
+        .then((texture) => {
+          item.texLoaded += sizeOf(source);
+          this._updateProgress();
+          return texture;
+        });
+    return { name: 'GLBModel_progress' };
+  }
+
+  /** Texto legible para un error de XHR o de parseo. */
+  _describeError(error) {
+    const xhr = error?.target;
+    if (xhr && xhr.status) {
+      const text = xhr.statusText ? ' ' + xhr.statusText : '';
+      return 'HTTP ' + xhr.status + text;
+    }
+    if (error?.message) return error.message;
+    return 'Network error';
+  }
+
+  /**
+   * @param {boolean} [recovered] true si aún queda un fallback por probar.
+   */
+  _onLoadError(path, error, recovered = false) {
+    const reason = this._describeError(error);
+    console.error('Error loading', path, error);
+    this.dispatchEvent({ type: 'error', path, error, reason, recovered });
+    this._showLoadError(path, reason);
+  }
+
+  /** Lista los fallos en la pantalla de carga. */
+  _showLoadError(path, reason) {
+    if (!this.loadingScreen) return;
+    if (!this.errorList) {
+      this.errorList = document.createElement('ul');
+      this.errorList.className = 'loading-errors';
+      this.loadingScreen.appendChild(this.errorList);
+    }
+    const li = document.createElement('li');
+    const show = () => {
+      const label = this.labels.label(path);
+      const name = label ? label + ' (' + path + ')' : path;
+      li.textContent = name + ' — ' + reason;
+    };
+    show();
+    this.errorList.appendChild(li);
+    // El nombre legible puede llegar con labels.json después del fallo
+    this._labelsReady.then(show);
+  }
+
+  /**
+   * Progreso ponderado por bytes: descarga de cada fichero más las
+   * texturas decodificadas. Los ficheros sin Content-Length cuentan con
+   * el tamaño medio de los conocidos hasta que terminan.
+   */
+  _updateProgress() {
+    const items = [...this._progressItems.values()];
+    const known = items.filter((i) => i.size);
+    const avg = known.length
+      ? known.reduce((sum, i) => sum + i.size, 0) / known.length
+      : GLBModel.MODEL_SIZE_ESTIMATE;
+    let total = 0;
+    let loaded = 0;
+    items.forEach((i) => {
+      const size = i.size || Math.max(avg, i.loaded);
+      total += size + i.texSize;
+      loaded += i.done
+        ? size + i.texSize
+        : Math.min(i.loaded, size) + Math.min(i.texLoaded, i.texSize);
+    });
+    // La barra nunca retrocede al aparecer ficheros nuevos
+    this._progress = Math.max(this._progress, total ? loaded / total : 0);
+    const pct = Math.round(this._progress * 100);
+    this.dispatchEvent({
+      type: 'progress',
+      loaded,
+      total,
+      progress: this._progress,
+    });
+    if (this.loadingScreen && !this._loadingDone) {
+      this.progressElement.style.width = pct + '%';
+      this.loadingText.textContent =
+        pct >= 100 ? 'Finalizing...' : 'Loading ' + pct + '%';
+    }
   }
 
-  static _updateProgress(loaded, total) {
-    const pct = Math.round((loaded / total) * 100);
-    this.progressElement.style.width = pct + '%';
-    this.loadingText.textContent =
-      pct >= 100 ? 'Finalizing...' : 'Loading ' + pct + '%';
-    if (loaded === total) {
+  _onBaseModelsLoaded() {
+    this._initKeyModels();
+    this._applyHidden();
+    this._applyViewMaterials();
+    this._refreshOutliner();
+    this.dispatchEvent({ type: 'ready' });
+    this._resolveReady(this);
+  }
+
+  /** Modelos base y estados por tecla terminados (con o sin errores). */
+  _onAllLoaded() {
+    this._loadingDone = true;
+    if (this.debug && !this._disposed) this._logLabels();
+    if (!this.loadingScreen || this._disposed) return;
+    if (!this.errorList) {
       this.loadingScreen.style.display = 'none';
-      this._initKeyModels();
+      return;
     }
+    // Con errores la pantalla queda visible hasta que el usuario la cierre
+    if (!this.models.length) {
+      this.loadingText.textContent = 'The model could not be loaded';
+      return;
+    }
+    this.loadingText.textContent = 'Some models failed to load';
+    const btn = document.createElement('button');
+    btn.className = 'loading-dismiss';
+    btn.textContent = 'Continue';
+    btn.addEventListener('click', () => {
+      this.loadingScreen.style.display = 'none';
+    });
+    this.loadingScreen.appendChild(btn);
+    this._dismissButton = btn;
   }
 
-  static _setupKeyModels() {
-    // Prepara estructura y listeners
+  /**
+   * Cada entrada de keyModels tiene un id (en la forma simple, el
+   * KeyboardEvent.code que la acciona) y admite:
+   * - off / on: ruta u override de cada estado (forma simple), o
+   * - states: lista ordenada de estados, cada uno un nombre o
+   *   { name, label, model | overrides | variant }.
+   * - mode: 'momentary' (mientras se mantiene), 'toggle' (primer/segundo
+   *   estado), 'cycle' / 'cycle-back' (siguiente / anterior) o 'select'.
+   * - keys: tecla(s) que la accionan, con modificadores ('Shift+KeyL');
+   *   en modo select, un objeto estado → tecla(s).
+   * - backKeys: tecla(s) que recorren los estados hacia atrás.
+   */
+  _setupKeyModels() {
+    this._keyBindings = [];
     for (const code in this.keyModelsConfig) {
+      const def = this.keyModelsConfig[code];
+      const { order, stateDefs, stateLabels } = this._normalizeStates(def);
       this.keyModels[code] = {
-        paths: this.keyModelsConfig[code],
+        order,
+        stateDefs,
+        label: def.label || code,
+        icon: def.icon,
+        stateLabels,
+        mode: def.mode || 'momentary',
+        // Nodos extra que al tocarlos accionan esta entrada
+        nodes: [].concat(def.nodes || []),
+        // Una raíz por estado; se cargan una vez y se alterna .visible
+        roots: {},
+        state: order[0],
         mesh: null,
-        pressed: false,
       };
+      this._bindKeys(code, def);
     }
-    window.addEventListener('keydown', (e) => {
-      const km = this.keyModels[e.code];
-      if (km && !km.pressed) {
-        km.pressed = true;
-        this._swapKeyModel(e.code, 'on');
-      }
-    });
-    window.addEventListener('keyup', (e) => {
-      const km = this.keyModels[e.code];
-      if (km && km.pressed) {
-        km.pressed = false;
-        this._swapKeyModel(e.code, 'off');
+
+    // Teclas mantenidas: code → binding, para soltar aunque cambien los
+    // modificadores y para ignorar la autorrepetición
+    this._heldKeys = new Map();
+    this._onKeyDown = (e) => {
+      if (this._isTyping(e) || this._heldKeys.has(e.code)) return;
+      const binding = this._keyBindings.find(
+        (b) =>
+          b.code === e.code &&
+          b.shift === e.shiftKey &&
+          b.ctrl === e.ctrlKey &&
+          b.alt === e.altKey &&
+          b.meta === e.metaKey
+      );
+      if (!binding) return;
+      e.preventDefault();
+      this._heldKeys.set(e.code, binding);
+      this._runBinding(binding);
+    };
+    this._onKeyUp = (e) => {
+      const binding = this._heldKeys.get(e.code);
+      if (!binding) return;
+      this._heldKeys.delete(e.code);
+      this._releaseKeyModel(binding.entry);
+    };
+    // Si el visor pierde el foco con una tecla pulsada no llega el keyup
+    this._onBlur = () => this._releaseAll();
+    if (!this.keyboard) return;
+    // Las teclas van al visor con el foco: con dos en la página, cada uno
+    // atiende sólo las suyas. Pulsar en él le da el foco.
+    const el = this.container;
+    this._addedTabIndex = !el.hasAttribute('tabindex');
+    if (this._addedTabIndex) el.tabIndex = 0;
+    this._onFocusPointer = () => {
+      if (el.contains(document.activeElement)) return;
+      el.focus({ preventScroll: true });
+    };
+    el.addEventListener('pointerdown', this._onFocusPointer);
+    el.addEventListener('keydown', this._onKeyDown);
+    el.addEventListener('keyup', this._onKeyUp);
+    el.addEventListener('focusout', this._onBlur);
+  }
+
+  _normalizeStates(def) {
+    const order = [];
+    const stateDefs = {};
+    const stateLabels = { ...def.stateLabels };
+    if (Array.isArray(def.states)) {
+      def.states.forEach((st) => {
+        const name = typeof st === 'string' ? st : st.name;
+        order.push(name);
+        // Un estado con model es un fichero; el resto, overrides/variante
+        stateDefs[name] = typeof st === 'string' ? {} : st.model || st;
+        if (st.label) stateLabels[name] = st.label;
+      });
+    } else {
+      const states = def.states || { off: def.off, on: def.on };
+      for (const name in states) {
+        order.push(name);
+        stateDefs[name] = states[name] || {};
       }
+    }
+    return { order, stateDefs, stateLabels };
+  }
+
+  _bindKeys(code, def) {
+    const add = (keys, action, state) =>
+      [].concat(keys || []).forEach((k) =>
+        this._keyBindings.push({
+          ...this._parseKey(k),
+          entry: code,
+          action,
+          state,
+        })
+      );
+    const perState =
+      def.mode === 'select' && def.keys && typeof def.keys === 'object';
+    if (perState && !Array.isArray(def.keys)) {
+      for (const state in def.keys) add(def.keys[state], 'select', state);
+    } else {
+      // Sin keys, el propio id es la tecla (forma simple)
+      add(def.keys || code, 'press');
+    }
+    add(def.backKeys, 'back');
+  }
+
+  /** Atajo que ejecuta una acción propia del visor (rayos X, vistas…). */
+  _bindAction(keys, run) {
+    [].concat(keys || []).forEach((k) => {
+      this._keyBindings.push({ ...this._parseKey(k), action: 'run', run });
     });
   }
 
-  static _initKeyModels() {
-    // Carga inicial en estado “off”
+  /** 'Ctrl+Shift+KeyL' → { code: 'KeyL', ctrl: true, shift: true, … } */
+  _parseKey(str) {
+    const parts = str.split('+');
+    const mods = parts.slice(0, -1).map((m) => m.toLowerCase());
+    return {
+      code: parts[parts.length - 1],
+      shift: mods.includes('shift'),
+      ctrl: mods.includes('ctrl') || mods.includes('control'),
+      alt: mods.includes('alt'),
+      meta: mods.includes('meta') || mods.includes('cmd'),
+    };
+  }
+
+  /** No roba teclas mientras se escribe en un campo. */
+  _isTyping(e) {
+    const t = e.target;
+    if (!t || !t.tagName) return false;
+    return t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName);
+  }
+
+  _runBinding(binding) {
+    if (binding.run) return binding.run();
+    const km = this.keyModels[binding.entry];
+    if (binding.action === 'select') {
+      this.setState(binding.entry, binding.state);
+    } else if (binding.action === 'back') {
+      this._stepKeyModel(binding.entry, km.mode === 'cycle-back' ? 1 : -1);
+    } else {
+      this._pressKeyModel(binding.entry);
+    }
+  }
+
+  /** Pulsación (tecla o toque) según el modo de la entrada. */
+  _pressKeyModel(code) {
+    const km = this.keyModels[code];
+    const [first, second = first] = km.order;
+    switch (km.mode) {
+      case 'toggle':
+        this.setState(code, km.state === first ? second : first);
+        break;
+      case 'cycle':
+      case 'select':
+        this._stepKeyModel(code, 1);
+        break;
+      case 'cycle-back':
+        this._stepKeyModel(code, -1);
+        break;
+      default:
+        // momentary
+        this.setState(code, second);
+    }
+  }
+
+  _stepKeyModel(code, step) {
+    const km = this.keyModels[code];
+    const n = km.order.length;
+    const i = km.order.indexOf(km.state);
+    this.setState(code, km.order[(i + step + n) % n]);
+  }
+
+  _releaseKeyModel(code) {
+    const km = this.keyModels[code];
+    if (km && km.mode === 'momentary') this.setState(code, km.order[0]);
+  }
+
+  /** Suelta todo lo que esté mantenido (teclas y puntero). */
+  _releaseAll() {
+    this._heldKeys.forEach((binding) => this._releaseKeyModel(binding.entry));
+    this._heldKeys.clear();
+    if (this._pointer?.held) {
+      if (this.controls) this.controls.enabled = this.enableControls;
+      this._releaseKeyModel(this._pointer.code);
+    }
+    this._pointer = null;
+  }
+
+  _initKeyModels() {
+    // Coloca todos los estados; sólo el actual queda visible
     for (const code in this.keyModels) {
-      this._loadKeyModel(code, this.keyModels[code].paths.off);
+      const defs = this.keyModels[code].stateDefs;
+      for (const state in defs) {
+        if (typeof defs[state] === 'string') {
+          this._loadKeyModel(code, state, defs[state]);
+        }
+      }
+      this._applyKeyState(code);
     }
   }
 
-  static _loadKeyModel(code, path) {
-    const loader = new THREE.GLTFLoader();
-    loader.load(
-      path,
+  _loadKeyModel(code, state, path) {
+    const km = this.keyModels[code];
+    (this._keyModelLoads[path] || this._loadWithRetry(path)).then(
       (gltf) => {
-        const prev = this.keyModels[code].mesh;
-        if (prev) this.scene.remove(prev);
-
-        const m = gltf.scene;
-        m.rotation.set(
-          this.modelRotation.x,
-          this.modelRotation.y,
-          this.modelRotation.z
-        );
-        m.scale.setScalar(this._globalScale);
-        m.position.sub(this._globalOffset);
-        m.traverse((n) => {
-          if (n.isMesh) {
-            n.castShadow = this.enabledShadow;
-            n.receiveShadow = this.enabledShadow;
+        if (!gltf) return; // ya notificado en loadModels
+        if (this._disposed) return this._disposeObject(gltf.scene);
+        // Si otro estado usa el mismo fichero se clona
+        const placed = this._keyModelRoots[path];
+        const m = placed
+          ? this._cloneModel(placed, gltf.animations)
+          : this._addModel(gltf);
+        this._keyModelRoots[path] = m;
+        delete this._keyModelLoads[path];
+        km.roots[state] = m;
+        // Un modelo nuevo puede contener nodos de algún override
+        this._resetOverrides();
+        this._owners = null;
+        for (const c in this.keyModels) this._applyKeyState(c);
+        if (this.explode) this._setExplodeAmount(this.explode);
+        this._applyHidden();
+        this._refreshOutliner();
+        // El del estado visible; puede faltar por llegar su raíz
+        const id = this._pendingSelection;
+        const node = id && this._nodeById(id);
+        const loading = Object.keys(this._keyModelLoads).length > 0;
+        if (node && (this._isVisible(node) || !loading)) this.select(node);
+      },
+      (e) => {
+        const reason = this._describeError(e);
+        console.error('Error loading key model', code, e);
+        this.dispatchEvent({ type: 'error', path, error: e, reason, code });
+      }
+    );
+  }
+
+  /** Muestra sólo la raíz del estado actual: coste constante, sin red. */
+  _applyKeyState(code) {
+    const km = this.keyModels[code];
+    // Los overrides y variantes deben ver los materiales originales; sin
+    // rayos X ni corte no hay nada que quitar
+    const view = this.xray || this._clipActive.length > 0;
+    const meshes = view ? this._keyStateMeshes(km) : null;
+    if (view) this._restoreViewMaterials(meshes);
+    for (const state in km.roots) {
+      km.roots[state].visible = state === km.state && !this._hidden.has(code);
+    }
+    km.mesh = km.roots[km.state] || null;
+    this._applyOverrides(km);
+    const def = km.stateDefs[km.state];
+    if (def && def.variant !== undefined && this.variant !== def.variant) {
+      this.selectVariant(def.variant);
+    }
+    if (view) this._applyViewMaterials(meshes);
+  }
+
+  /**
+   * Mallas que puede cambiar un estado: las de sus raíces y las de sus
+   * overrides. null (todas) si los overrides aún no se han calculado.
+   */
+  _keyStateMeshes(km) {
+    if (this._hasOverrides(km) && !km.overrides) return null;
+    const meshes = new Set(km.overrides ? km.overrides.base.keys() : []);
+    Object.values(km.roots).forEach((root) =>
+      root.traverse((n) => n.isMesh && meshes.add(n))
+    );
+    return meshes;
+  }
+
+  /**
+   * Estados definidos por material en lugar de fichero, p. ej.
+   *   on: { overrides: [
+   *     { nodes: ['led_light', 'weideng_c'], emissive: '#ffd9a0',
+   *       emissiveIntensity: 4 },
+   *     { material: 'car_window', swap: 'glass' },
+   *   ] }
+   * Selector: node/nodes (nombres de nodo), material/materials (nombres de
+   * material) y opcionalmente model (ruta del modelo). swap cambia por
+   * otro material cargado; el resto de claves son propiedades del material.
+   * Los materiales de cada estado se clonan una vez y se reutilizan.
+   */
+  _applyOverrides(km) {
+    if (!this._hasOverrides(km)) return;
+    if (!km.overrides) {
+      km.overrides = this._buildOverrides(km);
+      this._owners = null;
+    }
+    const active = km.overrides.byState[km.state];
+    km.overrides.base.forEach((material, mesh) => {
+      mesh.material = (active && active.get(mesh)) || material;
+    });
+  }
+
+  _hasOverrides(km) {
+    return Object.values(km.stateDefs).some((s) => s && s.overrides);
+  }
+
+  _buildOverrides(km) {
+    // Si no, el clon teñido del resaltado quedaría como material base
+    if (this._hovered) this._setHovered(null);
+    const base = new Map();
+    const byState = {};
+    for (const state in km.stateDefs) {
+      const def = km.stateDefs[state];
+      if (!def || !def.overrides) continue;
+      const map = new Map();
+      def.overrides.forEach((o) => {
+        const swap = o.swap ? this._findMaterial(o.swap) : null;
+        if (o.swap && !swap) console.warn('Material not found:', o.swap);
+        // Un clon por material original, compartido por sus mallas
+        const clones = new Map();
+        this._overrideTargets(o).forEach((mesh) => {
+          // La base es el material original, no el de una variante activa
+          if (!base.has(mesh)) {
+            base.set(mesh, this._defaultMaterials.get(mesh) || mesh.material);
           }
+          const original = map.get(mesh) || base.get(mesh);
+          if (!clones.has(original)) {
+            const mat = (swap || original).clone();
+            this._setMaterialProps(mat, o);
+            this._overrideMaterials.push(mat);
+            clones.set(original, mat);
+          }
+          map.set(mesh, clones.get(original));
         });
-        this.scene.add(m);
-        this.keyModels[code].mesh = m;
-
-        if (gltf.animations?.length) {
-          const mix = new THREE.AnimationMixer(m);
-          this.mixers.push(mix);
-          gltf.animations.forEach((c) => {
-            const a = mix.clipAction(c);
-            a.setLoop(THREE.LoopRepeat, Infinity).play();
-          });
+      });
+      byState[state] = map;
+    }
+    return { base, byState };
+  }
+
+  /** Mallas afectadas por un override según su selector. */
+  _overrideTargets(o) {
+    const nodes = [].concat(o.nodes || o.node || []);
+    const materials = [].concat(o.materials || o.material || []);
+    const roots = o.model
+      ? [this._modelRoots[o.model] || this._keyModelRoots[o.model]]
+      : this._allRoots();
+    const meshes = new Set();
+    roots.filter(Boolean).forEach((root) =>
+      root.traverse((n) => {
+        if (nodes.some((name) => this._matchesName(n, name))) {
+          n.traverse((c) => c.isMesh && meshes.add(c));
         }
-      },
-      undefined,
-      (e) => console.error('Error loading key model', code, e)
+        if (
+          n.isMesh &&
+          !Array.isArray(n.material) &&
+          materials.includes(n.material.name)
+        ) {
+          meshes.add(n);
+        }
+      })
     );
+    return meshes;
   }
 
-  static _swapKeyModel(code, state) {
-    this._loadKeyModel(code, this.keyModels[code].paths[state]);
+  _setMaterialProps(mat, o) {
+    const skip = ['node', 'nodes', 'material', 'materials', 'model', 'swap'];
+    for (const key in o) {
+      if (skip.includes(key)) continue;
+      if (mat[key] && mat[key].isColor) mat[key].set(o[key]);
+      else mat[key] = o[key];
+    }
+    mat.needsUpdate = true;
   }
 
-  static onWindowResize() {
-    this.camera.aspect = window.innerWidth / window.innerHeight;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+  /** Quita los overrides para recalcularlos con los modelos actuales. */
+  _resetOverrides() {
+    for (const code in this.keyModels) {
+      const km = this.keyModels[code];
+      if (!km.overrides) continue;
+      km.overrides.base.forEach((material, mesh) => (mesh.material = material));
+      km.overrides = null;
+    }
+    this._overrideMaterials.forEach((m) => m.dispose());
+    this._overrideMaterials = [];
   }
 
-  static animate() {
-    requestAnimationFrame(this.animate.bind(this));
+  _findMaterial(name) {
+    let found = null;
+    this._allRoots().forEach((root) =>
+      root.traverse((n) => {
+        if (!found && n.isMesh && n.material.name === name) found = n.material;
+      })
+    );
+    return found;
+  }
 
-    const delta = this.clock.getDelta();
-    this.mixers.forEach((m) => m.update(delta));
+  _registerVariants(root, parser) {
+    this._variantParsers.set(root, parser);
+    parser.json.extensions.KHR_materials_variants.variants.forEach((v, i) => {
+      const name = v.name || 'variant_' + i;
+      if (!this.variants.includes(name)) this.variants.push(name);
+    });
+    // Los materiales ya están en la caché del parser (ver el plugin)
+    root.traverse((n) => {
+      const map = n.userData.variantMaterials;
+      if (!map) return;
+      Object.values(map).forEach((index) =>
+        parser
+          .getDependency('material', index)
+          .then((mat) => this._variantMaterials.add(mat))
+      );
+    });
+    if (this.variant) this.selectVariant(this.variant);
+  }
 
-    if (this.enableControls) this.controls.update();
-    if (this.autoRotate) this.scene.rotation.y += this.rotationSpeed;
+  /**
+   * Aplica una variante de KHR_materials_variants a todos los modelos que
+   * la declaran; null vuelve a los materiales por defecto.
+   * @returns {Promise<void>}
+   */
+  selectVariant(name) {
+    this.variant = name;
+    this._restoreViewMaterials();
+    const pending = [];
+    this._variantParsers.forEach((parser, root) =>
+      root.traverse((n) => {
+        const map = n.userData.variantMaterials;
+        if (!map) return;
+        if (!this._defaultMaterials.has(n)) {
+          this._defaultMaterials.set(n, n.material);
+        }
+        const index = name == null ? undefined : map[name];
+        if (index === undefined) {
+          n.material = this._defaultMaterials.get(n);
+          return;
+        }
+        pending.push(
+          parser.getDependency('material', index).then((mat) => {
+            if (this.variant !== name) return;
+            n.material = mat;
+            parser.assignFinalMaterial(n);
+          })
+        );
+      })
+    );
+    this._applyViewMaterials();
+    this.dispatchEvent({ type: 'variantChange', variant: name });
+    return Promise.all(pending).then(() => this._applyViewMaterials());
+  }
 
-    this.renderer.render(this.scene, this.camera);
+  /** Modelos base más todas las raíces de estados por tecla. */
+  _allRoots() {
+    const roots = [...this.models];
+    for (const code in this.keyModels) {
+      roots.push(...Object.values(this.keyModels[code].roots));
+    }
+    return roots;
+  }
+
+  /** GLTFLoader sanea los nombres (quita . : / [ ]); se aceptan ambos. */
+  _matchesName(obj, name) {
+    return (
+      obj.name === name ||
+      obj.name === THREE.PropertyBinding.sanitizeNodeName(name)
+    );
+  }
+
+  _swapKeyModel(code, state) {
+    this.keyModels[code].state = state;
+    this._applyKeyState(code);
+    this.dispatchEvent({ type: 'stateChange', code, state });
+  }
+
+  /** Cambia una entrada de keyModels a un estado concreto. */
+  setState(code, state) {
+    const km = this.keyModels[code];
+    if (!km || !(state in km.stateDefs) || km.state === state) return;
+    this._swapKeyModel(code, state);
+  }
+
+  /**
+   * Panel superpuesto generado desde keyModels. config.panel puede ser
+   * true o { position: 'left' | 'right' | 'bottom', collapsed, title }.
+   * Cada entrada acepta label, icon (texto o URL de imagen) y stateLabels.
+   */
+  _buildPanel(options) {
+    this._createPanel(options);
+    const section = this._addPanelSection();
+    const rows = {};
+    for (const code in this.keyModels) {
+      const km = this.keyModels[code];
+      const bindings = this._keyBindings.filter((b) => b.entry === code);
+      rows[code] = this._addPanelRow(section, {
+        label: km.label,
+        icon: km.icon,
+        keys: bindings
+          .filter((b) => b.action !== 'select')
+          .map((b) => (b.action === 'back' ? '◂ ' : '') + this._keyLabel(b)),
+        options: km.order.map((state) => {
+          const direct = bindings.find((b) => b.state === state);
+          return {
+            value: state,
+            text: km.stateLabels[state] || state,
+            title: direct ? this._keyLabel(direct) : '',
+          };
+        }),
+        onSelect: (state) => this.setState(code, state),
+      });
+    }
+
+    // Refleja cambios hechos con teclado, clic en el modelo o por API
+    const sync = (code) => rows[code](this.keyModels[code].state);
+    Object.keys(rows).forEach(sync);
+    this.addEventListener('stateChange', (e) => sync(e.code));
+  }
+
+  /**
+   * Fila del panel: etiqueta con sus atajos y un botón por opción.
+   * @returns {Function} Marca como activa la opción con ese valor.
+   */
+  _addPanelRow(section, { label, icon, keys = [], options, onSelect }) {
+    const row = document.createElement('div');
+    row.className = 'glb-panel-row';
+
+    const title = document.createElement('span');
+    title.className = 'glb-panel-label';
+    if (icon) title.appendChild(this._panelIcon(icon));
+    title.appendChild(document.createTextNode(label));
+    keys.forEach((text) => {
+      const key = document.createElement('kbd');
+      key.textContent = text;
+      title.appendChild(key);
+    });
+    row.appendChild(title);
+
+    const states = document.createElement('div');
+    states.className = 'glb-panel-states';
+    const buttons = new Map();
+    options.forEach(({ value, text, title }) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      if (title) btn.title = title;
+      btn.addEventListener('click', () => onSelect(value));
+      states.appendChild(btn);
+      buttons.set(value, btn);
+    });
+    row.appendChild(states);
+    section.appendChild(row);
+
+    return (active) =>
+      buttons.forEach((btn, value) =>
+        btn.classList.toggle('active', value === active)
+      );
+  }
+
+  /** Contenedor del panel: cabecera plegable y cuerpo para las secciones. */
+  _createPanel(options) {
+    const opts = { position: 'right', collapsed: false, title: 'Controls' };
+    Object.assign(opts, options === true ? {} : options);
+
+    const panel = document.createElement('div');
+    panel.className = 'glb-panel ' + opts.position;
+    if (opts.collapsed) panel.classList.add('collapsed');
+
+    const header = document.createElement('button');
+    header.className = 'glb-panel-header';
+    header.textContent = opts.title;
+    header.addEventListener('click', () => panel.classList.toggle('collapsed'));
+    panel.appendChild(header);
+
+    this.panelBody = document.createElement('div');
+    this.panelBody.className = 'glb-panel-body';
+    panel.appendChild(this.panelBody);
+
+    this.container.appendChild(panel);
+    this.panel = panel;
+  }
+
+  /**
+   * Fila con un deslizador (y etiqueta opcional).
+   * @returns {HTMLInputElement}
+   */
+  _addPanelSlider(section, { label, min = 0, max, step, onInput }) {
+    const row = document.createElement('div');
+    row.className = 'glb-panel-row glb-panel-slider';
+    if (label) {
+      const title = document.createElement('span');
+      title.className = 'glb-panel-label';
+      title.textContent = label;
+      row.appendChild(title);
+    }
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = min;
+    slider.max = max;
+    slider.step = step;
+    slider.value = min;
+    slider.addEventListener('input', () => onInput(Number(slider.value)));
+    row.appendChild(slider);
+    section.appendChild(row);
+    return slider;
+  }
+
+  /** Añade un bloque al panel y lo devuelve. */
+  _addPanelSection(title) {
+    const section = document.createElement('div');
+    section.className = 'glb-panel-section';
+    if (title) {
+      const h = document.createElement('h4');
+      h.textContent = title;
+      section.appendChild(h);
+    }
+    this.panelBody.appendChild(section);
+    return section;
+  }
+
+  _panelIcon(icon) {
+    // Rutas o URLs se muestran como imagen; lo demás (emoji…) como texto
+    if (/[./]/.test(icon)) {
+      const img = document.createElement('img');
+      img.className = 'glb-panel-icon';
+      img.src = icon;
+      img.alt = '';
+      return img;
+    }
+    const span = document.createElement('span');
+    span.className = 'glb-panel-icon';
+    span.textContent = icon;
+    return span;
+  }
+
+  /** Atajo legible: { code: 'KeyL', shift: true } → Shift+L. */
+  _keyLabel(binding) {
+    const mods = ['ctrl', 'alt', 'shift', 'meta']
+      .filter((m) => binding[m])
+      .map((m) => m[0].toUpperCase() + m.slice(1));
+    const key = binding.code
+      .replace(/^(Digit|Key)/, '')
+      .replace(/^Numpad/, 'Num ');
+    return [...mods, key].join('+');
+  }
+
+  /**
+   * Árbol de componentes en el panel. config.outliner: true o { title,
+   * position, collapsed } (los dos últimos si no hay config.panel).
+   * Cada modelo base y cada entrada de keyModels es una rama; los nodos
+   * se identifican por su ruta de nombres, así lo ocultado se mantiene
+   * en todos los estados de una entrada aunque cambie el modelo visible.
+   */
+  _setupOutliner(options) {
+    const opts = { title: 'Components', ...(options === true ? {} : options) };
+    if (!this.panel) this._createPanel({ ...opts, title: 'Controls' });
+    const section = this._addPanelSection(opts.title);
+    section.classList.add('glb-outliner');
+
+    const showAll = document.createElement('button');
+    showAll.className = 'glb-outliner-all';
+    showAll.textContent = 'Show all';
+    showAll.addEventListener('click', () => this.showAll());
+    section.querySelector('h4').appendChild(showAll);
+
+    this.outliner = document.createElement('ul');
+    section.appendChild(this.outliner);
+    this._outlinerOpen = new Set();
+    this._outlinerInputs = new Map();
+  }
+
+  /** Ramas del árbol: cada modelo base y cada entrada de keyModels. */
+  _outlinerGroups() {
+    const groups = Object.keys(this._modelRoots).map((path) => {
+      const root = this._modelRoots[path];
+      const label = this.labels.label(path) || path.split('/').pop();
+      return { id: path, label, roots: [root], current: root };
+    });
+    for (const code in this.keyModels) {
+      const km = this.keyModels[code];
+      const roots = Object.values(km.roots);
+      const current = km.roots[km.state] || null;
+      groups.push({ id: code, label: km.label, roots, current });
+    }
+    return groups;
+  }
+
+  /**
+   * Recorre las raíces de una rama con el id de cada nodo, el del padre y
+   * la profundidad (0 en la raíz).
+   */
+  _walkGroup(group, fn) {
+    const visit = (obj, id, parentId, depth) => {
+      fn(obj, id, parentId, depth);
+      obj.children.forEach((c, i) =>
+        visit(c, id + '/' + (c.name || i), id, depth + 1)
+      );
+    };
+    group.roots.forEach((root) => visit(root, group.id, null, 0));
+  }
+
+  /** Muestra u oculta un componente por su id (ruta en el árbol). */
+  setNodeVisible(id, visible) {
+    if (visible) this._hidden.delete(id);
+    else this._hidden.add(id);
+    this._onHiddenChange();
+  }
+
+  /** Deja visible sólo el componente id (con sus ancestros e hijos). */
+  isolate(id) {
+    const parents = new Map();
+    this._outlinerGroups().forEach((group) =>
+      this._walkGroup(group, (obj, nodeId, parentId) =>
+        parents.set(nodeId, parentId)
+      )
+    );
+    if (!parents.has(id)) return;
+    const path = new Set();
+    for (let p = id; p !== null; p = parents.get(p)) path.add(p);
+    // Basta con ocultar las ramas hermanas de cada nodo del camino
+    this._hidden.clear();
+    parents.forEach((parentId, nodeId) => {
+      if (path.has(nodeId)) return;
+      if (parentId === null || path.has(parentId)) this._hidden.add(nodeId);
+    });
+    this._onHiddenChange();
+  }
+
+  showAll() {
+    this._hidden.clear();
+    this._onHiddenChange();
+  }
+
+  _onHiddenChange() {
+    this._applyHidden();
+    this._syncOutliner();
+    this.dispatchEvent({ type: 'visibilityChange', hidden: [...this._hidden] });
+  }
+
+  /**
+   * Aplica lo ocultado a todos los nodos. En las raíces de keyModels
+   * sigue mandando el estado actual.
+   */
+  _applyHidden() {
+    this._outlinerGroups().forEach((group) =>
+      this._walkGroup(group, (obj, id, parentId) => {
+        const shown = !this._hidden.has(id);
+        obj.visible =
+          parentId === null ? shown && obj === group.current : shown;
+      })
+    );
+  }
+
+  /** Reconstruye el árbol cuando llegan modelos nuevos. */
+  _refreshOutliner() {
+    if (!this.outliner) return;
+    this.outliner.textContent = '';
+    this._outlinerInputs.clear();
+    this._outlinerGroups().forEach((group) => {
+      if (!group.roots.length) return;
+      // Los estados de una entrada se fusionan en un solo árbol
+      const nodes = new Map();
+      this._walkGroup(group, (obj, id, parentId) => {
+        if (nodes.has(id)) return;
+        nodes.set(id, { id, obj, children: [] });
+        if (parentId !== null) nodes.get(parentId).children.push(nodes.get(id));
+      });
+      const tree = nodes.get(group.id);
+      tree.label = group.label;
+      this.outliner.appendChild(this._outlinerItem(tree));
+    });
+    this._syncOutliner();
+  }
+
+  _outlinerItem(node) {
+    const li = document.createElement('li');
+    const row = document.createElement('div');
+    row.className = 'glb-outliner-row';
+
+    const caret = document.createElement('button');
+    caret.className = 'glb-outliner-caret';
+    caret.disabled = !node.children.length;
+    row.appendChild(caret);
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.addEventListener('change', () =>
+      this.setNodeVisible(node.id, check.checked)
+    );
+    this._outlinerInputs.set(node.id, check);
+    row.appendChild(check);
+
+    const name = document.createElement('span');
+    name.className = 'glb-outliner-name';
+    name.textContent = node.label || this.getLabel(node.obj);
+    name.title = node.obj.name;
+    row.appendChild(name);
+
+    const isolate = document.createElement('button');
+    isolate.className = 'glb-outliner-isolate';
+    isolate.textContent = '\u25CE';
+    isolate.title = 'Isolate';
+    isolate.addEventListener('click', () => this.isolate(node.id));
+    row.appendChild(isolate);
+    li.appendChild(row);
+
+    if (!node.children.length) return li;
+    const list = document.createElement('ul');
+    node.children.forEach((c) => list.appendChild(this._outlinerItem(c)));
+    li.appendChild(list);
+    // Conserva las ramas abiertas al reconstruir el árbol
+    const setOpen = (open) => {
+      li.classList.toggle('open', open);
+      caret.textContent = open ? '\u25BE' : '\u25B8';
+      if (open) this._outlinerOpen.add(node.id);
+      else this._outlinerOpen.delete(node.id);
+    };
+    setOpen(this._outlinerOpen.has(node.id));
+    caret.addEventListener('click', () =>
+      setOpen(!li.classList.contains('open'))
+    );
+    return li;
+  }
+
+  _syncOutliner() {
+    if (!this.outliner) return;
+    this._outlinerInputs.forEach((input, id) => {
+      input.checked = !this._hidden.has(id);
+    });
+  }
+
+  /**
+   * Rayos X para ver el arnés dentro de paneles. config.xray: true o
+   * - ghost: { nodes, materials, categories } lo que se vuelve fantasma
+   *   (sin ghost, todo lo que no sea focus); categories son las de
+   *   config.labels.
+   * - focus: mismo selector; queda opaco y, con onTop, encima de todo.
+   * - style: 'transparent' | 'wireframe', opacity, color.
+   * - keys: tecla(s) que lo alternan (KeyX); enabled: activo al cargar.
+   * Sin config.xray sólo queda setXray() con los valores por defecto.
+   */
+  _setupXray(options) {
+    this.xrayConfig = {
+      ghost: null,
+      focus: null,
+      onTop: false,
+      style: 'transparent',
+      opacity: 0.15,
+      color: null,
+      keys: 'KeyX',
+      ...(options === true ? {} : options),
+    };
+    if (!options) return;
+    this._bindAction(this.xrayConfig.keys, () => this.setXray(!this.xray));
+    if (this.panel) {
+      const keys = [].concat(this.xrayConfig.keys || []);
+      const setActive = this._addPanelRow(this._addPanelSection(), {
+        label: 'X-ray',
+        keys: keys.map((k) => this._keyLabel(this._parseKey(k))),
+        options: [
+          { value: false, text: 'Off' },
+          { value: true, text: 'On' },
+        ],
+        onSelect: (enabled) => this.setXray(enabled),
+      });
+      setActive(false);
+      this.addEventListener('xrayChange', (e) => setActive(e.enabled));
+    }
+    if (this.xrayConfig.enabled) this.setXray(true);
+  }
+
+  setXray(enabled) {
+    enabled = !!enabled;
+    if (enabled === this.xray) return;
+    this.xray = enabled;
+    this._applyViewMaterials();
+    this.dispatchEvent({ type: 'xrayChange', enabled });
+  }
+
+  /**
+   * Materiales de vista (rayos X y corte) sobre los de estado y variante:
+   * se quitan antes de cambiar éstos y se recalculan después. meshes
+   * limita el cambio a esas mallas; sin él, toda la escena.
+   */
+  _applyViewMaterials(meshes) {
+    this._restoreViewMaterials(meshes);
+    const active = this.xray || this._clipActive.length > 0;
+    if (active && this._hovered) this._setHovered(null);
+    if (this.xray) this._applyXray(meshes);
+    if (this._clipActive.length) this._applyClipping(meshes);
+  }
+
+  _restoreViewMaterials(meshes) {
+    if (!this._xrayBase.size && !this._clipBase.size) return;
+    // El tinte del hover se calculó sobre el material de vista
+    if (this._hovered) this._setHovered(null);
+    this._restoreClipping(meshes);
+    this._restoreXray(meshes);
+  }
+
+  /** Las mallas dadas o todas las de los modelos cargados. */
+  _viewMeshes(meshes) {
+    if (meshes) return meshes;
+    const all = [];
+    this._allRoots().forEach((root) =>
+      root.traverse((n) => n.isMesh && all.push(n))
+    );
+    return all;
+  }
+
+  _applyXray(meshes) {
+    const { ghost, focus, onTop } = this.xrayConfig;
+    this._viewMeshes(meshes).forEach((n) => {
+      if (Array.isArray(n.material)) return;
+      let kind = null;
+      if (focus && this._selects(n, focus)) kind = onTop ? 'top' : null;
+      else if (!ghost || this._selects(n, ghost)) kind = 'ghost';
+      // Los cristales sin tocar dejan de escribir profundidad para no
+      // tapar a los fantasmas que queden detrás
+      else if (n.material.transparent) kind = 'glass';
+      if (!kind) return;
+      this._xrayBase.set(n, {
+        material: n.material,
+        renderOrder: n.renderOrder,
+      });
+      n.material = this._xrayMaterial(n.material, kind);
+      if (kind === 'ghost') this._xrayGhosts.add(n);
+      // Último de la pasada opaca y sin test de profundidad
+      if (kind === 'top') n.renderOrder = 1000;
+    });
+  }
+
+  _restoreXray(meshes) {
+    const clones = Object.values(this._xrayMaterials);
+    (meshes || [...this._xrayBase.keys()]).forEach((mesh) => {
+      const base = this._xrayBase.get(mesh);
+      if (!base) return;
+      // Sólo si nadie (estado, variante) ha cambiado el material
+      if (clones.some((cache) => cache.get(base.material) === mesh.material)) {
+        mesh.material = base.material;
+      }
+      mesh.renderOrder = base.renderOrder;
+      this._xrayBase.delete(mesh);
+      this._xrayGhosts.delete(mesh);
+    });
+  }
+
+  /** Selector { nodes, materials, categories } (rayos X, corte…). */
+  _selects(object, selector) {
+    const nodes = [].concat(selector.nodes || []);
+    const materials = [].concat(selector.materials || []);
+    const categories = [].concat(selector.categories || []);
+    const material = object.material;
+    if (material && materials.includes(material.name)) return true;
+    for (let o = object; o && o !== this.scene; o = o.parent) {
+      if (nodes.some((name) => this._matchesName(o, name))) return true;
+      const entry = this.labels.lookup(o.name);
+      if (entry && categories.includes(entry.category)) return true;
+    }
+    return false;
+  }
+
+  /** Clon por material original y tipo (ghost, glass, top). */
+  _xrayMaterial(material, kind) {
+    const cache = this._xrayMaterials[kind];
+    let mat = cache.get(material);
+    if (mat) return mat;
+    mat = material.clone();
+    if (kind === 'top') {
+      mat.depthTest = false;
+    } else {
+      // Los transparentes se ordenan por distancia; sin escribir
+      // profundidad ninguno oculta a los que tiene detrás
+      mat.transparent = true;
+      mat.depthWrite = false;
+    }
+    if (kind === 'ghost') {
+      const { style, opacity, color } = this.xrayConfig;
+      mat.opacity = Math.min(material.opacity, opacity);
+      // Con alphaTest una opacidad baja descartaría todos los píxeles
+      mat.alphaTest = 0;
+      mat.wireframe = style === 'wireframe';
+      if (mat.transmission) mat.transmission = 0;
+      if (color != null && mat.color) mat.color.set(color);
+    }
+    cache.set(material, mat);
+    return mat;
+  }
+
+  /**
+   * Planos de corte para ver el recorrido de los cables. config.clipping:
+   * true o
+   * - planes: [{ axis: 'x' | 'y' | 'z' o normal { x, y, z }, position,
+   *   enabled, flip, name }] en coordenadas de la escena (el modelo mide
+   *   2 unidades); por defecto un plano X desactivado.
+   * - targets: { nodes, materials, categories } lo que se corta; sin
+   *   targets, todo (el arnés puede quedar entero).
+   * - caps: 'hatch' | 'solid' | false, capColor: tapa de las caras
+   *   cortadas; helpers, helperColor: plano y asa para arrastrarlo.
+   * El corte es por material, así el plano de sombra no se recorta.
+   */
+  _setupClipping(options) {
+    this.clipConfig = {
+      planes: [{ axis: 'x' }],
+      targets: null,
+      caps: 'hatch',
+      capColor: 0xe53935,
+      helpers: true,
+      helperColor: 0x4caf50,
+      ...(options === true ? {} : options),
+    };
+
+    // Arrastre del asa a lo largo de la normal; en captura para que ni la
+    // órbita ni la selección vean el pointerdown
+    this._clipDrag = null;
+    this._onClipPointerDown = (e) => {
+      const planes = this._clipPlanes.filter((d) => d.enabled);
+      if (!e.isPrimary || !planes.length) return;
+      const handles = planes.map((d) => d.handle);
+      const hit = this._raycast(e, handles, false)[0];
+      if (!hit) return;
+      e.stopImmediatePropagation();
+      const def = planes.find((d) => d.handle === hit.object);
+      const axis = def.normal.clone().transformDirection(this.scene.matrix);
+      const origin = hit.object.getWorldPosition(new THREE.Vector3());
+      const grab = this._pointOnAxis(e, origin, axis);
+      this._clipDrag = { def, axis, grab, start: def.position };
+      if (this.controls) this.controls.enabled = false;
+    };
+    this._onClipPointerMove = (e) => {
+      const drag = this._clipDrag;
+      if (!drag || !e.isPrimary) return;
+      const point = this._pointOnAxis(e, drag.grab, drag.axis);
+      const position = drag.start + point.sub(drag.grab).dot(drag.axis);
+      this.setClipPlane(this._clipPlanes.indexOf(drag.def), { position });
+    };
+    this._onClipPointerUp = () => {
+      if (!this._clipDrag) return;
+      this._clipDrag = null;
+      if (this.controls) this.controls.enabled = this.enableControls;
+    };
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('pointerdown', this._onClipPointerDown, true);
+    document.addEventListener('pointermove', this._onClipPointerMove);
+    document.addEventListener('pointerup', this._onClipPointerUp);
+    document.addEventListener('pointercancel', this._onClipPointerUp);
+
+    if (!options) return;
+    const section = this.panel ? this._addPanelSection('Section') : null;
+    this.clipConfig.planes.forEach((p) => {
+      const index = this.addClipPlane({ enabled: false, ...p });
+      if (!section) return;
+      const setActive = this._addPanelRow(section, {
+        label: this._clipPlanes[index].name,
+        options: [
+          { value: 'off', text: 'Off' },
+          { value: 'on', text: 'On' },
+          { value: 'flip', text: 'Flip' },
+        ],
+        onSelect: (value) =>
+          this.setClipPlane(index, {
+            enabled: value !== 'off',
+            flip: value === 'flip',
+          }),
+      });
+      const sync = () => {
+        const def = this._clipPlanes[index];
+        setActive(!def.enabled ? 'off' : def.flip ? 'flip' : 'on');
+      };
+      sync();
+      this.addEventListener('clipChange', (e) => e.index === index && sync());
+    });
+  }
+
+  /**
+   * Añade un plano de corte (mismas opciones que config.clipping.planes;
+   * enabled por defecto).
+   * @returns {number} Índice del plano.
+   */
+  addClipPlane(options = {}) {
+    const axes = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+    const { axis = 'x', normal } = options;
+    const index = this._clipPlanes.length;
+    const def = {
+      name:
+        options.name || (normal ? 'Plane ' + (index + 1) : axis.toUpperCase()),
+      normal: normal
+        ? new THREE.Vector3(normal.x, normal.y, normal.z).normalize()
+        : new THREE.Vector3(...axes[axis]),
+      position: options.position || 0,
+      enabled: options.enabled !== false,
+      flip: !!options.flip,
+      // Plano en coordenadas de mundo, el que usan los materiales
+      plane: new THREE.Plane(),
+    };
+    this._clipHelper(def);
+    this._clipPlanes.push(def);
+    this.renderer.localClippingEnabled = true;
+    this._updateClipPlanes();
+    this._syncClipActive();
+    return index;
+  }
+
+  /** Cambia enabled, flip o position de un plano. */
+  setClipPlane(index, changes) {
+    const def = this._clipPlanes[index];
+    if (!def) return;
+    if (changes.enabled !== undefined) def.enabled = !!changes.enabled;
+    if (changes.flip !== undefined) def.flip = !!changes.flip;
+    if (changes.position !== undefined) def.position = changes.position;
+    this._updateClipPlanes();
+    this._syncClipActive();
+    const { enabled, flip, position } = def;
+    this.dispatchEvent({ type: 'clipChange', index, enabled, flip, position });
+  }
+
+  /** Plano translúcido con su asa; hijo de la escena, gira con ella. */
+  _clipHelper(def) {
+    const color = this.clipConfig.helperColor;
+    const quad = new THREE.Mesh(
+      new THREE.PlaneGeometry(2.4, 2.4),
+      new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: 0.08,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+      })
+    );
+    const edges = new THREE.LineSegments(
+      new THREE.EdgesGeometry(quad.geometry),
+      new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 })
+    );
+    def.handle = new THREE.Mesh(
+      new THREE.SphereGeometry(0.06, 16, 12),
+      new THREE.MeshBasicMaterial({ color })
+    );
+    def.helper = new THREE.Group();
+    def.helper.add(quad, edges, def.handle);
+    this.scene.add(def.helper);
+  }
+
+  /** Recalcula los planos de mundo y coloca los ayudantes. */
+  _updateClipPlanes() {
+    this.scene.updateMatrix();
+    const z = new THREE.Vector3(0, 0, 1);
+    this._clipPlanes.forEach((def) => {
+      // Se conserva el lado hacia el que apunta la normal
+      def.plane.set(def.normal, -def.position);
+      if (def.flip) def.plane.negate();
+      def.plane.applyMatrix4(this.scene.matrix);
+      def.helper.visible =
+        def.enabled && this.clipConfig.helpers && !this._capturing;
+      def.helper.quaternion.setFromUnitVectors(z, def.normal);
+      def.helper.position.copy(def.normal).multiplyScalar(def.position);
+    });
+  }
+
+  /** Oculta (o repone) los ayudantes de corte durante una captura. */
+  _setCapturing(capturing) {
+    this._capturing = capturing;
+    if (this._clipPlanes.length) this._updateClipPlanes();
+  }
+
+  /** Los materiales comparten this._clipActive; sólo cambia su contenido. */
+  _syncClipActive() {
+    const wasActive = this._clipActive.length > 0;
+    this._clipActive.length = 0;
+    this._clipPlanes.forEach((d) => {
+      if (d.enabled) this._clipActive.push(d.plane);
+    });
+    if (wasActive !== this._clipActive.length > 0) this._applyViewMaterials();
+  }
+
+  /** Punto de la recta origin + t·axis más cercano al rayo del puntero. */
+  _pointOnAxis(e, origin, axis) {
+    this._setRay(e);
+    const a = origin.clone().addScaledVector(axis, -100);
+    const b = origin.clone().addScaledVector(axis, 100);
+    const point = new THREE.Vector3();
+    this.raycaster.ray.distanceSqToSegment(a, b, null, point);
+    return point;
+  }
+
+  _applyClipping(meshes) {
+    const { targets } = this.clipConfig;
+    this._viewMeshes(meshes).forEach((n) => {
+      if (Array.isArray(n.material)) return;
+      if (targets && !this._selects(n, targets)) return;
+      this._clipBase.set(n, n.material);
+      n.material = this._clipMaterial(n.material);
+    });
+  }
+
+  _restoreClipping(meshes) {
+    (meshes || [...this._clipBase.keys()]).forEach((mesh) => {
+      const material = this._clipBase.get(mesh);
+      if (!material) return;
+      if (this._clipMaterials.get(material) === mesh.material) {
+        mesh.material = material;
+      }
+      this._clipBase.delete(mesh);
+    });
+  }
+
+  /** Clon por material con los planos activos y, si es opaco, tapa. */
+  _clipMaterial(material) {
+    let mat = this._clipMaterials.get(material);
+    if (mat) return mat;
+    mat = material.clone();
+    mat.clippingPlanes = this._clipActive;
+    // La sombra sobre el plano de sombra también sale cortada
+    mat.clipShadows = true;
+    const { caps, capColor } = this.clipConfig;
+    if (caps && !mat.transparent) {
+      // Por el corte se ven las caras traseras: se pintan como tapa
+      mat.side = THREE.DoubleSide;
+      const uniforms = {
+        capColor: { value: new THREE.Color(capColor) },
+        capHatch: { value: caps === 'hatch' ? 1 : 0 },
+      };
+      mat.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.fragmentShader =
+          'uniform vec3 capColor;\nuniform float capHatch;\n' +
+          shader.fragmentShader.replace(
+            '#include <dithering_fragment>',
+            GLBModel.CAP_FRAGMENT
+          );
+      };
+    }
+    this._clipMaterials.set(material, mat);
+    return mat;
+  }
+
+  /**
+   * Vista explosionada. config.explode: true o
+   * - depth: profundidad de las piezas bajo cada modelo (2: mm1…mm4 de
+   *   dingpei_lungu, polySurface… de dipei); las hojas menos profundas
+   *   también cuentan.
+   * - factor: cuánto se alejan del centro del conjunto (la caja de
+   *   _normalize, común a modelos base y de keyModels) respecto a su
+   *   distancia a él.
+   * - groups: [{ nodes, materials, categories, direction {x,y,z},
+   *   distance | factor }] dirección o factor propios para esas piezas.
+   * - duration: ms de la animación de setExplode().
+   */
+  _setupExplode(options) {
+    this.explodeConfig = {
+      depth: 2,
+      factor: 1,
+      groups: [],
+      duration: 600,
+      ...(options === true ? {} : options),
+    };
+    this.explode = 0;
+    this._explodeAnim = null;
+    // id del árbol → { base, offset }: los estados de una entrada comparten
+    // pieza aunque su raíz se clone
+    this._explodeParts = new Map();
+    this._exploded = [];
+    // Desplazamientos sumados a piezas animadas en el frame actual
+    this._explodeShifts = [];
+    if (!options || !this.panel) return;
+
+    const section = this._addPanelSection('Explode');
+    const slider = this._addPanelSlider(section, {
+      max: 1,
+      step: 0.01,
+      onInput: (amount) => this.setExplode(amount, false),
+    });
+    const assemble = document.createElement('button');
+    assemble.textContent = 'Assemble';
+    assemble.addEventListener('click', () => this.setExplode(0));
+    slider.after(assemble);
+    this.addEventListener('explodeChange', (e) => {
+      slider.value = e.amount;
+    });
+  }
+
+  /**
+   * 0 = montado, 1 = explosionado del todo.
+   * @param {boolean} [animate=true] Transición de duration ms.
+   */
+  setExplode(amount, animate = true) {
+    amount = THREE.MathUtils.clamp(amount, 0, 1);
+    if (animate && this.explodeConfig.duration > 0) {
+      this._explodeAnim = {
+        from: this.explode,
+        to: amount,
+        start: performance.now(),
+      };
+    } else {
+      this._explodeAnim = null;
+      this._setExplodeAmount(amount);
+    }
+    this.dispatchEvent({ type: 'explodeChange', amount });
+  }
+
+  _stepExplode() {
+    const { from, to, start } = this._explodeAnim;
+    const elapsed = performance.now() - start;
+    const t = Math.min(elapsed / this.explodeConfig.duration, 1);
+    const eased = t * t * (3 - 2 * t);
+    this._setExplodeAmount(from + (to - from) * eased);
+    if (t === 1) this._explodeAnim = null;
+  }
+
+  /** Las piezas animadas se mueven en _shiftAnimated, tras los clips. */
+  _setExplodeAmount(amount) {
+    this.explode = amount;
+    this._exploded = this._explodeObjects();
+    this._exploded.forEach(({ obj, part }) => {
+      if (this._animatedNodes.has(obj)) return;
+      obj.position.copy(part.base).addScaledVector(part.offset, amount);
+    });
+  }
+
+  /**
+   * Suma (o quita, con false) el desplazamiento de las piezas animadas a
+   * la pose de los clips. Se quita antes de los mixers: sólo escriben la
+   * pose cuando cambia.
+   */
+  _shiftAnimated(apply) {
+    if (!apply) {
+      this._explodeShifts.forEach(({ obj, shift }) => obj.position.sub(shift));
+      this._explodeShifts = [];
+      return;
+    }
+    if (!this.explode) return;
+    this._exploded.forEach(({ obj, part }) => {
+      if (!this._animatedNodes.has(obj)) return;
+      const shift = part.offset.clone().multiplyScalar(this.explode);
+      obj.position.add(shift);
+      this._explodeShifts.push({ obj, shift });
+    });
+  }
+
+  /** Piezas de todos los modelos; las nuevas se miden al verlas. */
+  _explodeObjects() {
+    const { depth } = this.explodeConfig;
+    const objects = [];
+    this.scene.updateMatrixWorld();
+    this._outlinerGroups().forEach((group) =>
+      this._walkGroup(group, (obj, id, parentId, level) => {
+        const leaf = level > 0 && !obj.children.length;
+        if (level !== depth && !(leaf && level < depth)) return;
+        let part = this._explodeParts.get(id);
+        if (!part) {
+          part = this._explodePart(obj);
+          this._explodeParts.set(id, part);
+        }
+        objects.push({ obj, part });
+      })
+    );
+    return objects;
+  }
+
+  /**
+   * Posición montada (la de reposo: las piezas animadas no la usan) y
+   * desplazamiento completo, en coordenadas del padre.
+   */
+  _explodePart(obj) {
+    const { factor, groups } = this.explodeConfig;
+    const base = obj.position.clone();
+    const box = new THREE.Box3().setFromObject(obj);
+    if (box.isEmpty() || !this._assemblyBox) {
+      return { base, offset: new THREE.Vector3() };
+    }
+    // Cálculo en coordenadas de la escena, sin su giro (autoRotate)
+    const fromWorld = this.scene.matrixWorld.clone().invert();
+    const center = box.getCenter(new THREE.Vector3()).applyMatrix4(fromWorld);
+    const group = groups.find((g) => this._selects(obj, g));
+    let delta;
+    if (group && group.direction) {
+      const { x, y, z } = group.direction;
+      delta = new THREE.Vector3(x, y, z).normalize();
+      delta.multiplyScalar(group.distance ?? 1);
+    } else {
+      delta = center.sub(this._assemblyBox.getCenter(new THREE.Vector3()));
+      delta.multiplyScalar(group?.factor ?? factor);
+    }
+    // De la escena al padre: incluye _globalScale y la rotación del modelo
+    const toParent = obj.parent.matrixWorld
+      .clone()
+      .invert()
+      .multiply(this.scene.matrixWorld);
+    const origin = new THREE.Vector3().applyMatrix4(toParent);
+    const offset = delta.applyMatrix4(toParent).sub(origin);
+    return { base, offset };
+  }
+
+  /**
+   * Vistas con nombre. config.viewpoints: { nombre: { position, target,
+   * fov, label, keys } } (o lista con name), en coordenadas de la escena
+   * como cameraPosition. 'home' es la vista inicial si no se define; las
+   * cámaras del glTF se añaden con su nombre al cargar.
+   */
+  _setupViewpoints(options = {}) {
+    const toVector = (v) => new THREE.Vector3(v.x, v.y, v.z);
+    const views = Array.isArray(options)
+      ? Object.fromEntries(options.map((v) => [v.name, v]))
+      : options;
+    this.viewpoints = {
+      home: {
+        position: toVector(this.cameraPosition),
+        target: new THREE.Vector3(),
+        fov: this._initialFov,
+      },
+    };
+    for (const name in views) {
+      const view = views[name];
+      this.viewpoints[name] = {
+        ...view,
+        position: toVector(view.position),
+        target: view.target ? toVector(view.target) : new THREE.Vector3(),
+      };
+      this._bindAction(view.keys, () => this.goToView(name));
+    }
+    this.view = 'home';
+    this._viewAnim = null;
+    // Vista de partida de la última goToView() o focusObject(), para
+    // back(): cámara y objetivo quedan en controls.saveState()
+    this._backView = null;
+    // Si el usuario mueve la cámara, la transición se cancela
+    if (this.controls) {
+      this.controls.addEventListener('start', () => {
+        if (this._viewAnim) this._endView(false);
+        this._setView(null);
+      });
+    }
+    if (this.panel) {
+      this._viewsSection = this._addPanelSection('Views');
+      this._viewsSection.classList.add('glb-views');
+      const back = document.createElement('button');
+      back.className = 'glb-views-back';
+      back.textContent = 'Back';
+      back.title = 'Esc';
+      back.addEventListener('click', () => this.back());
+      this._viewsSection.querySelector('h4').appendChild(back);
+      this._syncBack = () => {
+        back.disabled = !this._backView;
+      };
+      this._syncBack();
+      this._refreshViewsPanel();
+    }
+  }
+
+  /**
+   * Doble clic o doble toque sobre una malla la encuadra (focusObject);
+   * Escape vuelve a la vista anterior. Se desactiva con focus: false.
+   */
+  _setupFocus() {
+    const canvas = this.renderer.domElement;
+    this._onDblClick = (e) => {
+      if (this.annotating) return;
+      // El doble toque ya lo trata _onTap; algunos navegadores además
+      // lanzan dblclick
+      if (e.type === 'dblclick' && performance.now() - this._tapFocusAt < 500) {
+        return;
+      }
+      const hit = this._raycast(e, this._allRoots())[0];
+      if (!hit) return;
+      this.select(hit.object);
+      this.focusObject(hit.object);
+    };
+    this._lastTap = null;
+    this._tapFocusAt = -Infinity;
+    this._onTap = (e) => {
+      if (e.pointerType !== 'touch' || !e.isPrimary) return;
+      const now = performance.now();
+      const last = this._lastTap;
+      this._lastTap = { time: now, x: e.clientX, y: e.clientY };
+      if (!last || now - last.time > 300) return;
+      if (Math.hypot(e.clientX - last.x, e.clientY - last.y) > 30) return;
+      this._lastTap = null;
+      this._tapFocusAt = now;
+      this._onDblClick(e);
+    };
+    canvas.addEventListener('dblclick', this._onDblClick);
+    canvas.addEventListener('pointerup', this._onTap);
+    this._bindAction('Escape', () => this.back());
+  }
+
+  /** Una vista por cámara del modelo, con su pose ya normalizada. */
+  _registerCameras(root) {
+    this.scene.updateMatrixWorld();
+    const fromWorld = this.scene.matrixWorld.clone().invert();
+    const center = this._assemblyBox
+      ? this._assemblyBox.getCenter(new THREE.Vector3())
+      : new THREE.Vector3();
+    root.traverse((cam) => {
+      if (!cam.isCamera || this.viewpoints[cam.name]) return;
+      const m = fromWorld.clone().multiply(cam.matrixWorld);
+      const position = new THREE.Vector3().setFromMatrixPosition(m);
+      const dir = new THREE.Vector3(0, 0, -1).transformDirection(m);
+      // Objetivo: el punto del eje de visión más cercano al centro
+      const along = Math.max(center.clone().sub(position).dot(dir), 1);
+      const target = position.clone().addScaledVector(dir, along);
+      const fov = cam.isPerspectiveCamera ? cam.fov : undefined;
+      this.viewpoints[cam.name] = { position, target, fov };
+    });
+    this._refreshViewsPanel();
+  }
+
+  _refreshViewsPanel() {
+    if (!this._viewsSection) return;
+    this._viewsSection.querySelector('.glb-panel-row')?.remove();
+    this._syncViews = this._addPanelRow(this._viewsSection, {
+      label: 'Go to',
+      options: Object.keys(this.viewpoints).map((name) => ({
+        value: name,
+        text: this.viewpoints[name].label || name,
+      })),
+      onSelect: (name) => this.goToView(name),
+    });
+    this._syncViews(this.view);
+  }
+
+  /**
+   * Lleva cámara y objetivo de OrbitControls a una vista; sin fov, el
+   * inicial de la cámara. autoRotate se pausa durante la transición.
+   * @param {Object} [options] { duration (ms), easing: 'linear' |
+   *   'easeIn' | 'easeOut' | 'easeInOut' o función t → t }
+   * @returns {Promise<boolean>} true al llegar, false si se interrumpe.
+   */
+  goToView(name, options = {}) {
+    const view = this.viewpoints[name];
+    if (!view) return Promise.resolve(false);
+    this.scene.updateMatrix();
+    const to = {
+      position: view.position.clone().applyMatrix4(this.scene.matrix),
+      target: view.target.clone().applyMatrix4(this.scene.matrix),
+      fov: view.fov ?? this._initialFov,
+    };
+    this._setView(name);
+    return this._animateView(to, options);
+  }
+
+  _setView(name) {
+    this.view = name;
+    this._syncViews?.(name);
+    if (name) this.dispatchEvent({ type: 'viewChange', view: name });
+  }
+
+  /**
+   * Encuadra un objeto: el objetivo pasa al centro de su caja y la cámara
+   * se acerca, en la misma dirección, hasta que llena la vista.
+   * @returns {Promise<boolean>} Como goToView().
+   */
+  focusObject(object, options = {}) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return Promise.resolve(false);
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    // Distancia a la que la esfera cabe en el menor ángulo de visión
+    const vFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const hFov = 2 * Math.atan(Math.tan(vFov / 2) * this.camera.aspect);
+    const fit = (sphere.radius * 1.2) / Math.sin(Math.min(vFov, hFov) / 2);
+    const dir = this.camera.position.clone().sub(this._viewTarget());
+    dir.normalize();
+    const position = sphere.center.clone().addScaledVector(dir, fit);
+    this._setView(null);
+    this.dispatchEvent({ type: 'focus', object });
+    return this._animateView({ position, target: sphere.center }, options);
+  }
+
+  /**
+   * Vuelve a la vista anterior a la última goToView() o focusObject(),
+   * la guardada con controls.saveState().
+   * @returns {Promise<boolean>} false si no hay vista guardada.
+   */
+  back(options = {}) {
+    const prev = this._backView;
+    if (!prev) return Promise.resolve(false);
+    this._backView = null;
+    const c = this.controls;
+    this._setView(prev.view);
+    const to = {
+      position: c.position0.clone(),
+      target: c.target0.clone(),
+      fov: prev.fov,
+    };
+    return this._animateView(to, options, false).then((arrived) => {
+      // reset() deja exacta la pose guardada, zoom incluido
+      if (arrived) c.reset();
+      return arrived;
+    });
+  }
+
+  /**
+   * Transición de cámara, objetivo y fov (coordenadas de mundo) dentro de
+   * los límites de la órbita. autoRotate se pausa hasta que termina,
+   * porque las vistas son relativas al modelo. Con record, la vista de
+   * partida se guarda para back() (sin controles no hay back()).
+   */
+  _animateView(to, options, record = true) {
+    const { duration = 1000, easing = 'easeInOut' } = options;
+    if (this._viewAnim) this._endView(false);
+    const autoRotate = this.autoRotate;
+    this.autoRotate = false;
+    const from = {
+      position: this.camera.position.clone(),
+      target: this._viewTarget().clone(),
+      fov: this.camera.fov,
+    };
+    if (record && this.controls) {
+      this.controls.saveState();
+      this._backView = { view: this.view, fov: this.camera.fov };
+    }
+    this._syncBack?.();
+    // Sin amortiguación durante la transición: update() descarta los
+    // restos de giro del usuario y no empuja la cámara
+    if (this.controls) this.controls.enableDamping = false;
+    return new Promise((resolve) => {
+      this._viewAnim = {
+        from,
+        to: {
+          position: this._clampView(to.position.clone(), to.target),
+          target: to.target,
+          fov: to.fov ?? this.camera.fov,
+        },
+        start: performance.now(),
+        duration,
+        easing:
+          typeof easing === 'function' ? easing : GLBModel.EASINGS[easing],
+        autoRotate,
+        resolve,
+      };
+      if (duration <= 0) this._stepView();
+    });
+  }
+
+  /** El objetivo de OrbitControls, o uno propio si no hay controles. */
+  _viewTarget() {
+    if (this.controls) return this.controls.target;
+    if (!this._target) this._target = new THREE.Vector3();
+    return this._target;
+  }
+
+  /** Posición dentro de los límites de distancia y ángulo de la órbita. */
+  _clampView(position, target) {
+    const c = this.controls;
+    if (!c) return position;
+    const clamp = THREE.MathUtils.clamp;
+    const s = new THREE.Spherical().setFromVector3(position.sub(target));
+    s.radius = clamp(s.radius, c.minDistance, c.maxDistance);
+    s.phi = clamp(s.phi, c.minPolarAngle, c.maxPolarAngle);
+    if (isFinite(c.minAzimuthAngle) && isFinite(c.maxAzimuthAngle)) {
+      s.theta = clamp(s.theta, c.minAzimuthAngle, c.maxAzimuthAngle);
+    }
+    s.makeSafe();
+    return new THREE.Vector3().setFromSpherical(s).add(target);
+  }
+
+  _stepView() {
+    const { from, to, start, duration, easing } = this._viewAnim;
+    const elapsed = performance.now() - start;
+    const t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+    const k = easing(t);
+    const target = this._viewTarget();
+    this.camera.position.lerpVectors(from.position, to.position, k);
+    target.lerpVectors(from.target, to.target, k);
+    if (to.fov !== from.fov) {
+      this.camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, k);
+      this.camera.updateProjectionMatrix();
+    }
+    if (!this.controls) this.camera.lookAt(target);
+    if (t === 1) this._endView(true);
+  }
+
+  _endView(arrived) {
+    const { autoRotate, resolve } = this._viewAnim;
+    this._viewAnim = null;
+    this.autoRotate = autoRotate;
+    if (this.controls) {
+      this.controls.enableDamping = this.controlsConfig.enableDamping;
+    }
+    resolve(arrived);
+  }
+
+  /**
+   * Marcadores HTML anclados al modelo. config.hotspots: [{ id, title,
+   * body (HTML), node (se ancla al centro de su caja) y/o position
+   * {x, y, z} (en coordenadas del nodo o, sin node, de la escena), view
+   * (nombre de config.viewpoints) }].
+   * Se proyectan en cada frame, así siguen a autoRotate y a la vista
+   * explosionada; si algo los tapa se atenúan. Al pulsarlos abren una
+   * ficha con el contenido.
+   */
+  _setupHotspots(list) {
+    this.hotspotLayer = document.createElement('div');
+    this.hotspotLayer.className = 'glb-hotspots';
+    this.container.appendChild(this.hotspotLayer);
+    this.hotspots = list.map((def, i) => {
+      const h = { ...def, id: def.id ?? String(i + 1), anchors: null };
+      h.marker = this._hotspotMarker(i + 1, def.title);
+      h.marker.addEventListener('click', () => this.openHotspot(h.id));
+      return h;
+    });
+    this._hotspotCard = null;
+    this._hotspotFrame = 0;
+    this._hotspotRoots = [];
+  }
+
+  _hotspotMarker(dotText, titleText) {
+    const marker = document.createElement('button');
+    marker.className = 'glb-hotspot';
+    const dot = document.createElement('span');
+    dot.className = 'glb-hotspot-dot';
+    dot.textContent = dotText;
+    const title = document.createElement('span');
+    title.className = 'glb-hotspot-title';
+    title.textContent = titleText || '';
+    marker.append(dot, title);
+    this.hotspotLayer.appendChild(marker);
+    return marker;
+  }
+
+  openHotspot(id) {
+    const h = this.hotspots.find((x) => x.id === id);
+    if (!h) return;
+    const card = this._hotspotCardShell(h.title);
+    const body = document.createElement('div');
+    // El contenido viene de la configuración, no del usuario
+    body.innerHTML = h.body || '';
+    card.appendChild(body);
+    if (h.view && this.viewpoints[h.view]) {
+      card.appendChild(
+        this._cardButton('Go to view', () => this.goToView(h.view))
+      );
+    }
+    this._showHotspotCard(h, card);
+    this.dispatchEvent({ type: 'hotspot', id: h.id, hotspot: h });
+  }
+
+  closeHotspot() {
+    const open = this._hotspotCard;
+    if (!open) return;
+    this._hotspotCard = null;
+    open.hotspot.marker.classList.remove('active');
+    open.card.remove();
+    // Un pin nuevo sin guardar se descarta; cerrar la selección la quita
+    if (open.hotspot.draft) this._dropAnnotation(open.hotspot);
+    if (open.hotspot === this.selection) this.select(null);
+  }
+
+  /** Ficha vacía con su botón de cerrar y el título. */
+  _hotspotCardShell(titleText) {
+    const card = document.createElement('div');
+    card.className = 'glb-hotspot-card';
+    const close = document.createElement('button');
+    close.className = 'glb-hotspot-close';
+    close.textContent = '\u00D7';
+    close.addEventListener('click', () => this.closeHotspot());
+    const title = document.createElement('h5');
+    title.textContent = titleText || '';
+    card.append(close, title);
+    return card;
+  }
+
+  _cardButton(text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'glb-hotspot-action';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /** Muestra la ficha junto al marcador; sólo hay una abierta. */
+  _showHotspotCard(h, card) {
+    this.closeHotspot();
+    this.hotspotLayer.appendChild(card);
+    h.marker.classList.add('active');
+    this._hotspotCard = { hotspot: h, card };
+    this._placeHotspot(h);
+  }
+
+  _updateHotspots() {
+    // Los nodos se buscan de nuevo cuando cambian los modelos
+    const roots = this._allRoots();
+    const items = [...this.hotspots, ...this.annotations];
+    const prev = this._hotspotRoots;
+    if (roots.length !== prev.length || roots.some((r, i) => r !== prev[i])) {
+      this._hotspotRoots = roots;
+      items.forEach((h) => (h.anchors = null));
+    }
+    if (this.selection) items.push(this.selection);
+    // La oclusión (un rayo por marcador) sólo cada pocos frames
+    const occlusion = this._hotspotFrame++ % 6 === 0;
+    items.forEach((h) => this._placeHotspot(h, occlusion));
+  }
+
+  _placeHotspot(h, occlusion = false) {
+    const anchor = this._hotspotAnchor(h);
+    const world = anchor && anchor.position.clone();
+    if (world) world.applyMatrix4(anchor.object.matrixWorld);
+    const p = world && world.clone().project(this.camera);
+    const shown = !!p && p.z < 1 && Math.abs(p.x) <= 1 && Math.abs(p.y) <= 1;
+    const card = this._hotspotCard?.hotspot === h && this._hotspotCard.card;
+    h.marker.style.display = shown ? '' : 'none';
+    if (card) card.style.display = shown ? '' : 'none';
+    if (!shown) return;
+    const { width, height } = this._getSize();
+    const x = ((p.x + 1) / 2) * width;
+    const y = ((1 - p.y) / 2) * height;
+    const transform = 'translate(' + x + 'px, ' + y + 'px)';
+    h.marker.style.transform = transform;
+    if (card) card.style.transform = transform;
+    if (occlusion) {
+      const occluded = this._isOccluded(world, anchor.node);
+      h.marker.classList.toggle('occluded', occluded);
+    }
+  }
+
+  /**
+   * Punto del marcador en coordenadas de object. Con node se usa el
+   * primero visible entre los modelos (cada estado tiene su copia).
+   */
+  _hotspotAnchor(h) {
+    if (!h.node && !h.path) {
+      const { x, y, z } = h.position || { x: 0, y: 0, z: 0 };
+      const position = new THREE.Vector3(x, y, z);
+      return { object: this.scene, node: null, position };
+    }
+    if (!h.anchors) {
+      h.anchors = [];
+      // path (id del outliner) distingue nodos con el mismo nombre en
+      // distintos modelos; sin él, o si ya no existe, se busca el nombre
+      const nodes = h.path ? this._nodesById(h.path) : [];
+      if (!nodes.length && h.node) {
+        this._allRoots().forEach((root) =>
+          root.traverse((n) => this._matchesName(n, h.node) && nodes.push(n))
+        );
+      }
+      nodes.forEach((n) => {
+        if (h.position) {
+          const { x, y, z } = h.position;
+          const position = new THREE.Vector3(x, y, z);
+          h.anchors.push({ object: n, node: n, position });
+          return;
+        }
+        const box = new THREE.Box3().setFromObject(n);
+        if (box.isEmpty()) return;
+        // Centro de la caja en coordenadas del nodo: sigue su movimiento
+        const position = n.worldToLocal(box.getCenter(new THREE.Vector3()));
+        h.anchors.push({ object: n, node: n, position });
+      });
+    }
+    return h.anchors.find((a) => this._isVisible(a.node)) || null;
+  }
+
+  /** Si hay otra malla entre la cámara y el punto (los fantasmas no). */
+  _isOccluded(world, node) {
+    const dir = world.clone().sub(this.camera.position);
+    const distance = dir.length();
+    this.raycaster.set(this.camera.position, dir.normalize());
+    this.raycaster.far = distance;
+    const hit = this.raycaster
+      .intersectObjects(this._allRoots(), true)
+      .find((i) => {
+        if (!this._isVisible(i.object) || this._xrayGhosts.has(i.object)) {
+          return false;
+        }
+        // Las mallas del propio nodo no lo tapan
+        for (let o = i.object; o; o = o.parent) if (o === node) return false;
+        return true;
+      });
+    this.raycaster.far = Infinity;
+    return !!hit && hit.distance < distance - 1e-3;
+  }
+
+  /**
+   * Notas de revisión sobre el modelo. En modo anotación (setAnnotating,
+   * tecla N o el panel) un clic sobre una superficie abre un formulario y
+   * deja un pin con texto, autor y estado (open | resolved). Cada pin se
+   * guarda con la ruta del nodo (modelo y nodos, el id del outliner), su
+   * nombre y la posición local a ese nodo, así que sigue en su sitio tras
+   * normalizar, explosionar o cambiar de estado.
+   * Persisten en localStorage y se exportan/importan en JSON.
+   * config.annotations: true o { storageKey (null: no se guardan),
+   * author, keys }. Sin él, la API funciona pero no se guardan.
+   */
+  _setupAnnotations(options) {
+    this.annotations = [];
+    this.annotating = false;
+    const paths = this.modelPaths.map((p) => p.path || p);
+    this.annotationsConfig = {
+      storageKey: options ? 'glb-annotations:' + paths.join(',') : null,
+      author: '',
+      keys: 'KeyN',
+      ...(options && options !== true ? options : {}),
+    };
+    if (!options) return;
+    try {
+      const key = this.annotationsConfig.storageKey;
+      const saved = key && localStorage.getItem(key);
+      if (saved) this.importAnnotations(saved);
+    } catch (e) {
+      console.warn('Could not read saved annotations', e);
+    }
+    const toggle = () => this.setAnnotating(!this.annotating);
+    this._bindAction(this.annotationsConfig.keys, toggle);
+    if (!this.panel) return;
+
+    const section = this._addPanelSection('Annotations');
+    const keys = [].concat(this.annotationsConfig.keys || []);
+    const setActive = this._addPanelRow(section, {
+      label: 'Annotate',
+      keys: keys.map((k) => this._keyLabel(this._parseKey(k))),
+      options: [
+        { value: false, text: 'Off' },
+        { value: true, text: 'On' },
+      ],
+      onSelect: (enabled) => this.setAnnotating(enabled),
+    });
+    setActive(false);
+    this.addEventListener('annotatingChange', (e) => setActive(e.enabled));
+
+    const row = document.createElement('div');
+    row.className = 'glb-panel-row glb-panel-actions';
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = '.json,application/json';
+    file.hidden = true;
+    file.addEventListener('change', () => {
+      const f = file.files[0];
+      file.value = '';
+      if (!f) return;
+      f.text()
+        .then((text) => this.importAnnotations(text))
+        .catch((e) => console.error('Error importing annotations', e));
+    });
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Export';
+    exportBtn.addEventListener('click', () => {
+      const json = JSON.stringify(this.exportAnnotations(), null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      this._download(blob, 'annotations.json');
+    });
+    const importBtn = document.createElement('button');
+    importBtn.textContent = 'Import';
+    importBtn.addEventListener('click', () => file.click());
+    row.append(exportBtn, importBtn, file);
+    section.appendChild(row);
+  }
+
+  setAnnotating(enabled) {
+    enabled = !!enabled;
+    if (enabled === this.annotating) return;
+    this.annotating = enabled;
+    this.container.classList.toggle('glb-annotating', enabled);
+    if (!enabled && this._hotspotCard?.hotspot.draft) this.closeHotspot();
+    this.dispatchEvent({ type: 'annotatingChange', enabled });
+  }
+
+  /**
+   * @param {Object} data { path (id del outliner) y/o node (nombre),
+   *   position {x, y, z} (local al nodo; sin nodo, de la escena), text,
+   *   author, status: 'open' | 'resolved' }
+   * @returns {Object} La anotación creada, con su id.
+   */
+  addAnnotation(data) {
+    const a = this._createAnnotation(data);
+    this._saveAnnotations();
+    this._annotationChanged('add', a);
+    return a;
+  }
+
+  /** Cambia text, author o status. */
+  updateAnnotation(id, changes) {
+    const a = this.annotations.find((x) => x.id === id && !x.draft);
+    if (!a) return null;
+    ['text', 'author', 'status'].forEach((k) => {
+      if (changes[k] !== undefined) a[k] = String(changes[k]);
+    });
+    if (a.status !== 'resolved') a.status = 'open';
+    this._syncAnnotationMarker(a);
+    this._saveAnnotations();
+    this._annotationChanged('update', a);
+    return a;
+  }
+
+  removeAnnotation(id) {
+    const a = this.annotations.find((x) => x.id === id && !x.draft);
+    if (!a) return false;
+    this._dropAnnotation(a);
+    this._saveAnnotations();
+    this._annotationChanged('remove', a);
+    return true;
+  }
+
+  /** Copia serializable: { version, annotations: [...] }. */
+  exportAnnotations() {
+    const fields = ['id', 'path', 'node', 'position', 'text', 'author'];
+    return {
+      version: 1,
+      annotations: this.annotations
+        .filter((a) => !a.draft)
+        .map((a) => {
+          const out = {};
+          fields.forEach((k) => (out[k] = a[k]));
+          out.status = a.status;
+          out.created = a.created;
+          return out;
+        }),
+    };
+  }
+
+  /**
+   * Añade las anotaciones de un export (objeto, lista o texto JSON); las
+   * que ya existen (mismo id) se actualizan.
+   * @param {Object} [options] { replace: borra antes las actuales }
+   * @returns {number} Anotaciones importadas.
+   */
+  importAnnotations(data, { replace = false } = {}) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    const list = Array.isArray(data) ? data : data?.annotations || [];
+    if (replace) {
+      [...this.annotations].forEach((a) => this._dropAnnotation(a));
+    }
+    let count = 0;
+    list.forEach((item) => {
+      const pos = item?.position;
+      if (!pos || !['x', 'y', 'z'].every((k) => isFinite(pos[k]))) {
+        console.warn('Invalid annotation:', item);
+        return;
+      }
+      const current = this.annotations.find((a) => a.id === item.id);
+      if (current) this._dropAnnotation(current);
+      this._createAnnotation(item);
+      count++;
+    });
+    this._saveAnnotations();
+    this._annotationChanged('import', null, count);
+    return count;
+  }
+
+  _createAnnotation(data) {
+    const { x, y, z } = data.position;
+    const a = {
+      id:
+        data.id ||
+        Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      path: data.path || null,
+      node: data.node || null,
+      position: { x: Number(x), y: Number(y), z: Number(z) },
+      text: String(data.text ?? ''),
+      author: String(data.author ?? ''),
+      status: data.status === 'resolved' ? 'resolved' : 'open',
+      created: data.created || new Date().toISOString(),
+      anchors: null,
+    };
+    a.marker = this._hotspotMarker('', '');
+    a.marker.classList.add('glb-annotation');
+    a.marker.addEventListener('click', () => this.openAnnotation(a.id));
+    this._syncAnnotationMarker(a);
+    this.annotations.push(a);
+    return a;
+  }
+
+  _dropAnnotation(a) {
+    if (this._hotspotCard?.hotspot === a) this.closeHotspot();
+    if (!this.annotations.includes(a)) return;
+    a.marker.remove();
+    this.annotations.splice(this.annotations.indexOf(a), 1);
+  }
+
+  _syncAnnotationMarker(a) {
+    const resolved = a.status === 'resolved';
+    a.marker.classList.toggle('resolved', resolved);
+    a.marker.querySelector('.glb-hotspot-dot').textContent = resolved
+      ? '✓'
+      : '!';
+    a.marker.querySelector('.glb-hotspot-title').textContent = a.text;
+  }
+
+  _annotationChanged(action, annotation, count) {
+    this.dispatchEvent({ type: 'annotationChange', action, annotation, count });
+  }
+
+  _saveAnnotations() {
+    if (!this.annotationsConfig.storageKey) return;
+    const json = JSON.stringify(this.exportAnnotations());
+    try {
+      localStorage.setItem(this.annotationsConfig.storageKey, json);
+    } catch (e) {
+      console.warn('Could not save annotations', e);
+    }
+  }
+
+  /** Modo anotación: pin nuevo en la superficie bajo el puntero. */
+  _placeAnnotation(e) {
+    const hit = this._raycast(e, this._allRoots())[0];
+    if (!hit) return;
+    // El nodo con nombre más cercano; la posición, en sus coordenadas
+    let node = hit.object;
+    while (!node.name && node.parent && node.parent !== this.scene) {
+      node = node.parent;
+    }
+    const a = this._createAnnotation({
+      path: this._nodeId(node),
+      node: node.name,
+      position: node.worldToLocal(hit.point.clone()),
+      author: this.annotationsConfig.author,
+    });
+    a.draft = true;
+    this._editAnnotation(a);
+  }
+
+  /** Ficha de una anotación: texto, autor, estado y acciones. */
+  openAnnotation(id) {
+    const a = this.annotations.find((x) => x.id === id);
+    if (!a) return;
+    const resolved = a.status === 'resolved';
+    const card = this._hotspotCardShell(a.author || 'Anonymous');
+    card.classList.add('glb-annotation-card');
+    const meta = document.createElement('small');
+    const date = new Date(a.created).toLocaleString();
+    meta.textContent = (resolved ? 'Resolved' : 'Open') + ' · ' + date;
+    // Texto del usuario: nunca como HTML
+    const text = document.createElement('p');
+    text.textContent = a.text;
+    card.append(meta, text);
+    card.append(
+      this._cardButton(resolved ? 'Reopen' : 'Resolve', () => {
+        this.updateAnnotation(a.id, { status: resolved ? 'open' : 'resolved' });
+        this.openAnnotation(a.id);
+      }),
+      this._cardButton('Edit', () => this._editAnnotation(a)),
+      this._cardButton('Delete', () => this.removeAnnotation(a.id))
+    );
+    this._showHotspotCard(a, card);
+  }
+
+  /** Formulario para un pin nuevo (draft) o uno existente. */
+  _editAnnotation(a) {
+    const card = this._hotspotCardShell(a.draft ? 'New note' : 'Edit note');
+    card.classList.add('glb-annotation-card');
+    const form = document.createElement('form');
+    const text = document.createElement('textarea');
+    text.rows = 3;
+    text.placeholder = 'Note';
+    text.value = a.text;
+    const author = document.createElement('input');
+    author.placeholder = 'Author';
+    author.value = a.author;
+    const status = document.createElement('select');
+    ['open', 'resolved'].forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value === 'open' ? 'Open' : 'Resolved';
+      status.appendChild(option);
+    });
+    status.value = a.status;
+    const save = document.createElement('button');
+    save.className = 'glb-hotspot-action';
+    save.textContent = 'Save';
+    form.append(text, author, status, save);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const changes = {
+        text: text.value.trim(),
+        author: author.value.trim(),
+        status: status.value,
+      };
+      if (!changes.text) return;
+      this.annotationsConfig.author = changes.author;
+      if (a.draft) {
+        delete a.draft;
+        Object.assign(a, changes);
+        this._syncAnnotationMarker(a);
+        this._saveAnnotations();
+        this._annotationChanged('add', a);
+      } else {
+        this.updateAnnotation(a.id, changes);
+      }
+      this.openAnnotation(a.id);
+    });
+    card.appendChild(form);
+    this._showHotspotCard(a, card);
+    text.focus();
+  }
+
+  /**
+   * Marca una pieza con un marcador en su centro y una ficha con su
+   * nombre, número de pieza y descripción. El doble clic selecciona lo
+   * que encuadra; select(null) quita la selección.
+   */
+  select(object) {
+    this._pendingSelection = null;
+    const prev = this.selection;
+    if (prev) {
+      this.selection = null;
+      if (this._hotspotCard?.hotspot === prev) this.closeHotspot();
+      prev.marker.remove();
+    }
+    if (object) {
+      const box = new THREE.Box3().setFromObject(object);
+      const center = box.isEmpty()
+        ? object.getWorldPosition(new THREE.Vector3())
+        : box.getCenter(new THREE.Vector3());
+      const position = object.worldToLocal(center);
+      // Anclado al propio objeto, no a su nombre (puede no tenerlo)
+      const s = { object, anchors: [{ object, node: object, position }] };
+      s.marker = this._hotspotMarker('', '');
+      s.marker.classList.add('glb-selection');
+      s.marker.addEventListener('click', () => this._openSelection());
+      this.selection = s;
+      this._openSelection();
+    }
+    if (prev || object) this.dispatchEvent({ type: 'select', object });
+  }
+
+  _openSelection() {
+    const info = this.getInfo(this.selection.object);
+    const card = this._hotspotCardShell(info.label);
+    if (info.partNumber) {
+      const part = document.createElement('small');
+      part.textContent = info.partNumber;
+      card.appendChild(part);
+    }
+    if (info.description) {
+      const text = document.createElement('p');
+      text.textContent = info.description;
+      card.appendChild(text);
+    }
+    this._showHotspotCard(this.selection, card);
+  }
+
+  /** Descarga un Blob como fichero. */
+  _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Después del clic, o algunos navegadores cancelan la descarga
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Enlaces a la vista actual: cámara, objetivo de OrbitControls, giro
+   * del modelo, estados de keyModels, componentes ocultos (ids del
+   * outliner) y la pieza seleccionada van al hash de la URL. Al abrir el
+   * enlace, o si cambia el hash, se restaura todo con el modelo listo.
+   * config.deepLink: true o { updateHash: false para no tocar la URL }.
+   */
+  _setupDeepLink(options) {
+    this.deepLinkConfig = {
+      updateHash: true,
+      ...(options === true ? {} : options),
+    };
+    this._hashTimer = null;
+    this._onHashChange = () =>
+      this.applyViewState(this._parseViewHash(location.hash));
+    this.addEventListener('ready', () => {
+      this._onHashChange();
+      window.addEventListener('hashchange', this._onHashChange);
+      if (!this.deepLinkConfig.updateHash) return;
+      // Después de restaurar, para no pisar el hash recibido
+      const schedule = () => this._scheduleHash();
+      ['stateChange', 'visibilityChange', 'select', 'viewChange'].forEach(
+        (type) => this.addEventListener(type, schedule)
+      );
+      if (this.controls) this.controls.addEventListener('change', schedule);
+    });
+    if (!this.panel) return;
+
+    const copy = document.createElement('button');
+    copy.textContent = 'Copy link';
+    copy.addEventListener('click', () =>
+      this.copyLink().then((ok) => {
+        copy.textContent = ok ? 'Copied' : 'Copy link';
+        setTimeout(() => (copy.textContent = 'Copy link'), 1500);
+      })
+    );
+    this._shareRow().appendChild(copy);
+  }
+
+  /** Fila de botones de la sección Share del panel, creada una vez. */
+  _shareRow() {
+    if (!this._shareActions) {
+      this._shareActions = document.createElement('div');
+      this._shareActions.className = 'glb-panel-row glb-panel-actions';
+      this._addPanelSection('Share').appendChild(this._shareActions);
+    }
+    return this._shareActions;
+  }
+
+  /**
+   * Estado serializable de la vista.
+   * @returns {{camera, target, fov, rotation, states, hidden, selected}}
+   */
+  getViewState() {
+    const states = {};
+    for (const code in this.keyModels) {
+      states[code] = this.keyModels[code].state;
+    }
+    return {
+      camera: this.camera.position.toArray(),
+      target: this._viewTarget().toArray(),
+      fov: this.camera.fov,
+      rotation: this.scene.rotation.y,
+      states,
+      hidden: [...this._hidden],
+      selected: this.selection
+        ? this._nodeId(this.selection.object)
+        : this._pendingSelection,
+    };
+  }
+
+  /** Restaura un estado de getViewState(); detiene autoRotate. */
+  applyViewState(state) {
+    if (!state) return;
+    if (this._viewAnim) this._endView(false);
+    const target = this._viewTarget();
+    if (state.camera) this.camera.position.fromArray(state.camera);
+    if (state.target) target.fromArray(state.target);
+    if (state.fov) {
+      this.camera.fov = state.fov;
+      this.camera.updateProjectionMatrix();
+    }
+    if (Number.isFinite(state.rotation)) {
+      this.autoRotate = false;
+      this.scene.rotation.y = state.rotation;
+    }
+    if (this.controls) this.controls.update();
+    else this.camera.lookAt(target);
+    this._setView(null);
+    for (const code in state.states || {}) {
+      this.setState(code, state.states[code]);
+    }
+    if (state.hidden) {
+      this._hidden.clear();
+      state.hidden.forEach((id) => this._hidden.add(id));
+      this._onHiddenChange();
+    }
+    if (state.selected !== undefined) {
+      const node = state.selected && this._nodeById(state.selected);
+      this.select(node);
+      // Se reintenta cuando lleguen las raíces de keyModels
+      if (state.selected && !node) this._pendingSelection = state.selected;
+    }
+  }
+
+  /** URL de la página con la vista actual en el hash. */
+  getLink() {
+    const hash = this._viewHash(this.getViewState());
+    return location.href.split('#')[0] + '#' + hash;
+  }
+
+  /** @returns {Promise<boolean>} false si no se pudo copiar. */
+  copyLink() {
+    const link = this.getLink();
+    if (!navigator.clipboard) {
+      // Sin contexto seguro no hay portapapeles: se muestra para copiar
+      window.prompt('Copy link', link);
+      return Promise.resolve(false);
+    }
+    return navigator.clipboard.writeText(link).then(
+      () => true,
+      () => false
+    );
+  }
+
+  _scheduleHash() {
+    clearTimeout(this._hashTimer);
+    this._hashTimer = setTimeout(() => {
+      const hash = this._viewHash(this.getViewState());
+      // replaceState no lanza hashchange ni llena el historial
+      history.replaceState(history.state, '', '#' + hash);
+    }, 300);
+  }
+
+  /** cam=x,y,z&target=…&fov&rot&state=código:estado&hide=id&sel=id */
+  _viewHash(state) {
+    const num = (v) => String(+v.toFixed(4));
+    const params = new URLSearchParams();
+    params.set('cam', state.camera.map(num).join(','));
+    params.set('target', state.target.map(num).join(','));
+    params.set('fov', num(state.fov));
+    params.set('rot', num(state.rotation % (2 * Math.PI)));
+    for (const code in state.states) {
+      params.append('state', code + ':' + state.states[code]);
+    }
+    state.hidden.forEach((id) => params.append('hide', id));
+    if (state.selected) params.set('sel', state.selected);
+    // , : y / son válidos en el hash; sin escapar el enlace se lee mejor
+    return params
+      .toString()
+      .replace(/%2C/g, ',')
+      .replace(/%3A/g, ':')
+      .replace(/%2F/g, '/');
+  }
+
+  /** Inverso de _viewHash(); null si el hash no es un enlace de vista. */
+  _parseViewHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('cam')) return null;
+    const vec = (key) => {
+      const v = (params.get(key) || '').split(',').map(Number);
+      return v.length === 3 && v.every(isFinite) ? v : null;
+    };
+    const states = {};
+    params.getAll('state').forEach((pair) => {
+      const i = pair.indexOf(':');
+      if (i > 0) states[pair.slice(0, i)] = pair.slice(i + 1);
+    });
+    return {
+      camera: vec('cam'),
+      target: vec('target'),
+      fov: Number(params.get('fov')) || null,
+      rotation: params.has('rot') ? Number(params.get('rot')) : null,
+      states,
+      hidden: params.getAll('hide'),
+      selected: params.get('sel'),
+    };
+  }
+
+  /** id del outliner (ruta en el árbol) de un nodo, o null. */
+  _nodeId(object) {
+    let found = null;
+    this._outlinerGroups().forEach((group) =>
+      this._walkGroup(group, (obj, id) => {
+        if (obj === object) found = id;
+      })
+    );
+    return found;
+  }
+
+  /** Nodo con ese id; entre los estados de una entrada, el visible. */
+  _nodeById(id) {
+    const matches = this._nodesById(id);
+    return matches.find((obj) => this._isVisible(obj)) || matches[0] || null;
+  }
+
+  /** Todos los nodos con ese id: uno por estado de la entrada. */
+  _nodesById(id) {
+    const matches = [];
+    this._outlinerGroups().forEach((group) =>
+      this._walkGroup(group, (obj, nodeId) => {
+        if (nodeId === id) matches.push(obj);
+      })
+    );
+    return matches;
+  }
+
+  /**
+   * Botón del panel que descarga una captura en PNG. config.screenshot:
+   * true o las opciones de screenshot() más filename.
+   */
+  _setupScreenshot(options) {
+    this.screenshotConfig = {
+      filename: 'screenshot.png',
+      ...(options === true ? {} : options),
+    };
+    if (!this.panel) return;
+    const btn = document.createElement('button');
+    btn.textContent = 'Screenshot';
+    btn.addEventListener('click', () => {
+      const { filename, ...opts } = this.screenshotConfig;
+      btn.disabled = true;
+      this.screenshot({ ...opts, format: 'image/png' })
+        .then((blob) => this._download(blob, filename))
+        .catch((e) => console.error('Error taking screenshot', e))
+        .finally(() => (btn.disabled = false));
+    });
+    this._shareRow().appendChild(btn);
+  }
+
+  /**
+   * Renderiza la vista actual fuera de pantalla, sin tocar el canvas
+   * visible. Por encima del tamaño máximo de textura se hace por tiles.
+   * @param {Object} [options] { width, height (por defecto, los del
+   *   canvas; con uno solo se mantiene la proporción), transparent (true:
+   *   fondo transparente; false: se compone el fondo CSS de detrás del
+   *   canvas, color o linear-gradient), format ('image/png' |
+   *   'image/jpeg' | 'image/webp'; JPEG nunca es transparente), quality }
+   * @returns {Promise<Blob>}
+   */
+  screenshot(options = {}) {
+    const { format = 'image/png', quality } = options;
+    const { width, height } = this._outputSize(options.width, options.height);
+    const transparent =
+      options.transparent !== false && format !== 'image/jpeg';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!transparent) this._paintBackground(ctx, width, height);
+    // El resaltado del puntero no debe salir en la imagen
+    if (this._hovered) this._setHovered(null);
+
+    const gl = this.renderer.getContext();
+    const tile = Math.min(
+      this.renderer.capabilities.maxTextureSize,
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      4096
+    );
+    const camera = this.camera.clone();
+    camera.aspect = width / height;
+    // Con WebGL2 el render target también tiene antialiasing
+    const Target = this.renderer.capabilities.isWebGL2
+      ? THREE.WebGLMultisampleRenderTarget
+      : THREE.WebGLRenderTarget;
+    const target = new Target(Math.min(width, tile), Math.min(height, tile));
+    target.texture.encoding = this.renderer.outputEncoding;
+    const tileCanvas = document.createElement('canvas');
+    const tileCtx = tileCanvas.getContext('2d');
+    const prevTarget = this.renderer.getRenderTarget();
+    this._setCapturing(true);
+    try {
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const w = Math.min(tile, width - x);
+          const h = Math.min(tile, height - y);
+          camera.setViewOffset(width, height, x, y, w, h);
+          target.setSize(w, h);
+          this.renderer.setRenderTarget(target);
+          this.renderer.render(this.scene, camera);
+          const pixels = new Uint8Array(w * h * 4);
+          this.renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+          tileCanvas.width = w;
+          tileCanvas.height = h;
+          tileCtx.putImageData(this._toImageData(pixels, w, h), 0, 0);
+          // drawImage compone con alfa sobre el fondo; putImageData no
+          ctx.drawImage(tileCanvas, x, y);
+        }
+      }
+    } finally {
+      this._setCapturing(false);
+      this.renderer.setRenderTarget(prevTarget);
+      target.dispose();
+    }
+    return new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('Empty image'))),
+        format,
+        quality
+      )
+    );
+  }
+
+  /** Tamaño de salida; sin alguno de los lados, la proporción del canvas. */
+  _outputSize(width, height) {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (width && !height) height = (width * size.y) / size.x;
+    if (height && !width) width = (height * size.x) / size.y;
+    return {
+      width: Math.round(width || size.x),
+      height: Math.round(height || size.y),
+    };
+  }
+
+  /**
+   * Píxeles de WebGL (de abajo arriba, alfa premultiplicado) → ImageData
+   * (de arriba abajo, alfa directo).
+   */
+  _toImageData(pixels, width, height) {
+    const image = new ImageData(width, height);
+    const row = width * 4;
+    for (let y = 0; y < height; y++) {
+      const src = (height - 1 - y) * row;
+      for (let i = 0; i < row; i += 4) {
+        const a = pixels[src + i + 3];
+        const k = a ? 255 / a : 0;
+        const dst = y * row + i;
+        image.data[dst] = pixels[src + i] * k;
+        image.data[dst + 1] = pixels[src + i + 1] * k;
+        image.data[dst + 2] = pixels[src + i + 2] * k;
+        image.data[dst + 3] = a;
+      }
+    }
+    return image;
+  }
+
+  /**
+   * Fondo CSS del primer ancestro del canvas que tenga uno: color o
+   * linear-gradient (sin background-size ni background-position). Blanco
+   * si no hay ninguno.
+   */
+  _paintBackground(ctx, width, height) {
+    ctx.fillStyle = '#ffffff';
+    for (let el = this.container; el; el = el.parentElement) {
+      const style = getComputedStyle(el);
+      const gradient = style.backgroundImage.match(/linear-gradient\((.*)\)/);
+      if (gradient) {
+        ctx.fillStyle = this._canvasGradient(ctx, gradient[1], width, height);
+        break;
+      }
+      const color = style.backgroundColor;
+      if (color && color !== 'transparent' && !/,\s*0\)$/.test(color)) {
+        ctx.fillStyle = color;
+        break;
+      }
+    }
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  /** Argumentos de linear-gradient() → CanvasGradient del mismo tamaño. */
+  _canvasGradient(ctx, args, width, height) {
+    // Se separa por las comas que no están dentro de rgb(…)
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '(') depth++;
+      else if (args[i] === ')') depth--;
+      else if (args[i] === ',' && !depth) {
+        parts.push(args.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(args.slice(start).trim());
+
+    const sides = { top: 0, right: 90, bottom: 180, left: 270 };
+    let angle = 180;
+    if (/^-?[\d.]+deg$/.test(parts[0])) {
+      angle = parseFloat(parts.shift());
+    } else if (/^to /.test(parts[0])) {
+      // 'to right' o a una esquina ('to top right'): la línea media pasa
+      // entonces por las otras dos esquinas
+      const dirs = parts.shift().slice(3).split(/\s+/);
+      const x = dirs.find((d) => d === 'left' || d === 'right');
+      const y = dirs.find((d) => d === 'top' || d === 'bottom');
+      if (x && y) {
+        const a = THREE.MathUtils.radToDeg(Math.atan2(height, width));
+        const right = x === 'right';
+        if (y === 'top') angle = right ? a : 360 - a;
+        else angle = right ? 180 - a : 180 + a;
+      } else {
+        angle = sides[x || y];
+      }
+    }
+    // Línea del gradiente según CSS: 0deg hacia arriba, en sentido horario
+    const rad = THREE.MathUtils.degToRad(angle);
+    const dx = Math.sin(rad);
+    const dy = -Math.cos(rad);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const cx = width / 2;
+    const cy = height / 2;
+    const gradient = ctx.createLinearGradient(
+      cx - dx * half,
+      cy - dy * half,
+      cx + dx * half,
+      cy + dy * half
+    );
+    parts.forEach((part, i) => {
+      const [, color, pos] = part.match(/^(.*?)(?:\s+([\d.]+)%)?$/);
+      const offset = pos ? pos / 100 : i / Math.max(parts.length - 1, 1);
+      gradient.addColorStop(THREE.MathUtils.clamp(offset, 0, 1), color);
+    });
+    return gradient;
+  }
+
+  /**
+   * Botón del panel que graba y descarga un vídeo. config.record: true o
+   * las opciones de record() más filename.
+   */
+  _setupRecord(options) {
+    this.recordConfig = {
+      filename: 'turntable.webm',
+      ...(options === true ? {} : options),
+    };
+    if (!this.panel) return;
+    const btn = document.createElement('button');
+    btn.textContent = 'Record';
+    btn.addEventListener('click', () => {
+      const { filename, ...opts } = this.recordConfig;
+      btn.disabled = true;
+      btn.textContent = 'Recording…';
+      this.record(opts)
+        .then((blob) => this._download(blob, filename))
+        .catch((e) => console.error('Error recording', e))
+        .finally(() => {
+          btn.disabled = false;
+          btn.textContent = 'Record';
+        });
+    });
+    this._shareRow().appendChild(btn);
+  }
+
+  /**
+   * Graba el canvas en WebM con canvas.captureStream y MediaRecorder.
+   * Con fixedStep (por defecto) el bucle de render se detiene y cada
+   * frame avanza duration/frames las animaciones y 360°·turns/frames el
+   * modelo, sin depender del reloj: el último frame enlaza con el primero.
+   * Para que también cierren los clips, la duración se ajusta a un
+   * múltiplo de su periodo común (o del clip loopClip, si se indica).
+   * Sin fixedStep se graba la vista tal cual.
+   * @param {Object} [options] { duration (ms, 6000), fps (30), resolution
+   *   { width, height } (por defecto la del canvas), fixedStep, turns (1),
+   *   loopClip (nombre del clip de referencia), bitsPerSecond }
+   * @returns {Promise<Blob>}
+   */
+  record(options = {}) {
+    const canvas = this.renderer.domElement;
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+      return Promise.reject(new Error('Recording is not supported'));
+    }
+    if (this._recorder) return Promise.reject(new Error('Already recording'));
+    const { fps = 30, fixedStep = true, turns = 1, bitsPerSecond } = options;
+    let duration = options.duration ?? 6000;
+    const period = fixedStep ? this._loopPeriod(options.loopClip) : 0;
+    if (period > 0) {
+      duration = Math.max(1, Math.round(duration / period)) * period;
+    }
+
+    if (options.resolution) {
+      const { width, height } = options.resolution;
+      this._recordSize = this._outputSize(width, height);
+      const ratio = this.renderer.getPixelRatio();
+      // Sólo el buffer de dibujo: el canvas visible conserva su tamaño CSS
+      this.renderer.setSize(
+        this._recordSize.width / ratio,
+        this._recordSize.height / ratio,
+        false
+      );
+      this.camera.aspect = this._recordSize.width / this._recordSize.height;
+      this.camera.updateProjectionMatrix();
+    }
+    // Con 0 fps sólo se captura al llamar a requestFrame()
+    const stream = canvas.captureStream(fixedStep ? 0 : fps);
+    const mimeType = [
+      'video/webm;codecs=vp9',
+      'video/webm;codecs=vp8',
+      'video/webm',
+    ].find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: bitsPerSecond,
+    });
+    this._recorder = recorder;
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size) chunks.push(e.data);
+    };
+    const done = new Promise((resolve, reject) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      recorder.onerror = (e) =>
+        reject(e.error || new Error('Recording failed'));
+    });
+    this._setCapturing(true);
+    recorder.start();
+    this.dispatchEvent({ type: 'recordStart', duration });
+
+    const [track] = stream.getVideoTracks();
+    const frames = Math.max(1, Math.round((duration / 1000) * fps));
+    const captured = fixedStep
+      ? this._recordFrames(track, frames, duration, turns)
+      : new Promise((resolve) => setTimeout(resolve, duration));
+    captured.then(() => {
+      if (recorder.state === 'recording') recorder.stop();
+    });
+    return done.finally(() => {
+      track.stop();
+      this._recorder = null;
+      this._setCapturing(false);
+      if (this._recordSize) {
+        this._recordSize = null;
+        this.onWindowResize();
+      }
+      this.dispatchEvent({ type: 'recordEnd' });
+    });
+  }
+
+  /**
+   * Periodo (ms) tras el que todos los clips vuelven a empezar: el mínimo
+   * común múltiplo de sus duraciones, redondeadas a ms. Si pasa de
+   * MAX_LOOP_PERIOD (duraciones casi iguales pero no exactas) se usa el
+   * clip más largo. 0 si no hay clips.
+   */
+  _loopPeriod(loopClip) {
+    const clips = this.mixers.flatMap((m) => m.getRoot().animations || []);
+    if (loopClip) {
+      const clip = clips.find((c) => c.name === loopClip);
+      if (clip) return clip.duration * 1000;
+      console.warn('Unknown loop clip', loopClip);
+    }
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const lengths = clips
+      .map((c) => Math.round(c.duration * 1000))
+      .filter((ms) => ms > 0);
+    const lcm = lengths.reduce((a, b) => (a / gcd(a, b)) * b, 1);
+    if (lcm <= GLBModel.MAX_LOOP_PERIOD) return lengths.length ? lcm : 0;
+    console.warn('Clip durations have no short common period', lengths);
+    return Math.max(...lengths);
+  }
+
+  /**
+   * Frames a paso fijo, a ritmo de duration/frames para que el vídeo dure
+   * lo que debe. Después se reanuda el bucle de render.
+   */
+  _recordFrames(track, frames, duration, turns) {
+    const dt = duration / frames;
+    cancelAnimationFrame(this._frameId);
+    const autoRotate = this.autoRotate;
+    const start = this.scene.rotation.y;
+    this.autoRotate = false;
+    const t0 = performance.now();
+    return new Promise((resolve) => {
+      let i = 0;
+      const step = () => {
+        if (this._disposed) return resolve();
+        if (i === frames) {
+          this.scene.rotation.y = start;
+          this.autoRotate = autoRotate;
+          // El tiempo grabado no cuenta para las animaciones en vivo
+          this.clock.getDelta();
+          this.animate();
+          return resolve();
+        }
+        this.scene.rotation.y = start + (2 * Math.PI * turns * i) / frames;
+        // El primer frame es el estado actual (delta 0)
+        this._renderFrame(i ? dt / 1000 : 0);
+        track.requestFrame();
+        i++;
+        const next = t0 + i * dt;
+        setTimeout(step, Math.max(0, next - performance.now()));
+      };
+      step();
+    });
+  }
+
+  /**
+   * Iluminación por imagen y presets de luces.
+   * - config.environment: { url (equirectangular: .hdr con RGBELoader o
+   *   .exr con EXRLoader y fflate, de examples/js de r128, cargados antes
+   *   que este script; o JPG/PNG), urls (cubemap: px, nx, py, ny, pz,
+   *   nz), exposure, rotation (grados), background }.
+   * - config.lighting: preset inicial (studio, workshop, night o uno de
+   *   config.lightingPresets, con el formato de LIGHTING_PRESETS); sus
+   *   luces sustituyen a lightIntensity y ambientLightIntensity.
+   * El entorno se renderiza a un cubemap y se prefiltra con PMREM; sin
+   * config.environment cada preset trae su estudio generado. Cambiar de
+   * preset, exposición o giro no recarga los modelos.
+   */
+  _setupLighting(config) {
+    this.lightingPresets = {
+      ...GLBModel.LIGHTING_PRESETS,
+      ...config.lightingPresets,
+    };
+    this.lighting = null;
+    this._envOptions = { rotation: 0, background: false };
+    this._envSource = null;
+    this._envFile = false;
+    if (!config.lighting && !config.environment) return;
+    this._pmrem = new THREE.PMREMGenerator(this.renderer);
+    if (config.lighting) this.setLighting(config.lighting);
+    if (config.environment) {
+      const url = config.environment.url || config.environment.urls;
+      this.setEnvironment(config.environment).catch((e) =>
+        this._onLoadError(url, e)
+      );
+    }
+    if (!this.panel) return;
+
+    const section = this._addPanelSection('Lighting');
+    const setPreset = this._addPanelRow(section, {
+      label: 'Preset',
+      options: Object.keys(this.lightingPresets).map((name) => ({
+        value: name,
+        text: this.lightingPresets[name].label || name,
+      })),
+      onSelect: (name) => this.setLighting(name),
+    });
+    const exposure = this._addPanelSlider(section, {
+      label: 'Exposure',
+      max: 2,
+      step: 0.05,
+      onInput: (value) => this.setExposure(value),
+    });
+    // Cada giro vuelve a renderizar el cubemap y el PMREM: como mucho
+    // uno por frame, con el último valor del slider
+    let frame = 0;
+    const rotation = this._addPanelSlider(section, {
+      label: 'Rotation',
+      max: 360,
+      step: 1,
+      onInput: (value) => {
+        cancelAnimationFrame(frame);
+        frame = requestAnimationFrame(() => {
+          if (!this._disposed) this.setEnvironment({ rotation: value });
+        });
+      },
+    });
+    const setBackground = this._addPanelRow(section, {
+      label: 'Background',
+      options: [
+        { value: false, text: 'Off' },
+        { value: true, text: 'On' },
+      ],
+      onSelect: (background) => this.setEnvironment({ background }),
+    });
+    const sync = () => {
+      setPreset(this.lighting);
+      exposure.value = this.renderer.toneMappingExposure;
+      rotation.value = this._envOptions.rotation;
+      setBackground(this._envOptions.background);
+    };
+    sync();
+    this.addEventListener('lightingChange', sync);
+  }
+
+  /** Aplica un preset: luces, exposición y, si no hay fichero, entorno. */
+  setLighting(name) {
+    const preset = this.lightingPresets[name];
+    if (!preset) return;
+    if (!this._pmrem) this._pmrem = new THREE.PMREMGenerator(this.renderer);
+    this.lighting = name;
+    const apply = (light, [color, intensity]) => {
+      light.color.set(color);
+      light.intensity = intensity;
+    };
+    apply(this.ambientLight, preset.ambient);
+    apply(this.mainLight, preset.key);
+    apply(this.fillLight, preset.fill);
+    apply(this.backLight, preset.back);
+    this.renderer.toneMappingExposure = preset.exposure;
+    // Un entorno cargado de fichero manda sobre el del preset
+    if (!this._envFile && preset.environment) {
+      this._setEnvSource(this._roomEnvironment(preset.environment));
+    }
+    this._lightingChanged();
+  }
+
+  setExposure(exposure) {
+    this.renderer.toneMappingExposure = exposure;
+    this._lightingChanged();
+  }
+
+  /**
+   * Carga un entorno (url o urls) o cambia el actual: exposure, rotation
+   * (grados) y background.
+   * @returns {Promise} Se resuelve con el entorno aplicado.
+   */
+  setEnvironment(options = {}) {
+    const { url, urls, exposure, rotation, background } = options;
+    if (rotation !== undefined) this._envOptions.rotation = rotation;
+    if (background !== undefined) this._envOptions.background = !!background;
+    if (exposure !== undefined) this.renderer.toneMappingExposure = exposure;
+    if (!url && !urls) {
+      this._renderEnvironment();
+      this._lightingChanged();
+      return Promise.resolve();
+    }
+    if (!this._pmrem) this._pmrem = new THREE.PMREMGenerator(this.renderer);
+    return this._loadEnvironment(url, urls).then((source) => {
+      if (this._disposed) return this._disposeObject(source);
+      this._envFile = true;
+      this._setEnvSource(source);
+      this._lightingChanged();
+    });
+  }
+
+  _lightingChanged() {
+    this.dispatchEvent({
+      type: 'lightingChange',
+      lighting: this.lighting,
+      exposure: this.renderer.toneMappingExposure,
+      ...this._envOptions,
+    });
+  }
+
+  /** @returns {Promise<THREE.Scene>} El entorno como escena de fondo. */
+  _loadEnvironment(url, urls) {
+    return new Promise((resolve, reject) => {
+      const done = (texture) => resolve(this._skyScene(texture));
+      if (urls) {
+        const loader = new THREE.CubeTextureLoader();
+        loader.load(
+          urls,
+          (texture) => {
+            texture.encoding = THREE.sRGBEncoding;
+            done(texture);
+          },
+          undefined,
+          reject
+        );
+        return;
+      }
+      const ext = url.split('?')[0].split('.').pop().toLowerCase();
+      const name = { hdr: 'RGBELoader', exr: 'EXRLoader' }[ext];
+      const Loader = THREE[name || 'TextureLoader'];
+      // RGBELoader y EXRLoader son de examples/js: se cargan aparte
+      if (!Loader) {
+        reject(new Error(name + ' is not loaded'));
+        return;
+      }
+      const loader = new Loader();
+      // Media precisión: filtrado lineal sin extensiones de float
+      if (name) loader.setDataType(THREE.HalfFloatType);
+      loader.load(
+        url,
+        (texture) => {
+          if (!name) texture.encoding = THREE.sRGBEncoding;
+          done(texture);
+        },
+        undefined,
+        reject
+      );
+    });
+  }
+
+  /** Esfera con la textura alrededor de la cámara del cubemap. */
+  _skyScene(texture) {
+    const material = new THREE.MeshBasicMaterial({
+      side: THREE.BackSide,
+      toneMapped: false,
+    });
+    const sky = new THREE.Mesh(new THREE.SphereGeometry(50, 64, 32), material);
+    if (texture.isCubeTexture) {
+      // Refracción con índice 1: se consulta la dirección de vista tal cual
+      texture.mapping = THREE.CubeRefractionMapping;
+      material.envMap = texture;
+      material.refractionRatio = 1;
+    } else {
+      material.map = texture;
+      // Vista desde dentro, la imagen saldría invertida
+      sky.scale.x = -1;
+    }
+    const scene = new THREE.Scene();
+    scene.add(sky);
+    return scene;
+  }
+
+  /** Estudio generado: paredes de un color y paneles emisivos (HDR). */
+  _roomEnvironment({ walls, light = '#ffffff', panels = [] }) {
+    const scene = new THREE.Scene();
+    const emissive = (color, intensity, side) =>
+      new THREE.MeshBasicMaterial({
+        color: new THREE.Color(color).multiplyScalar(intensity),
+        side,
+        toneMapped: false,
+      });
+    const room = new THREE.Mesh(
+      new THREE.BoxGeometry(20, 10, 20),
+      emissive(walls, 1, THREE.BackSide)
+    );
+    room.position.y = 0.5;
+    scene.add(room);
+    panels.forEach(({ position, size, color = light, intensity = 3 }) => {
+      const panel = new THREE.Mesh(
+        new THREE.PlaneGeometry(size[0], size[1]),
+        emissive(color, intensity, THREE.DoubleSide)
+      );
+      panel.position.fromArray(position);
+      panel.lookAt(0, 0, 0);
+      scene.add(panel);
+    });
+    return scene;
+  }
+
+  _setEnvSource(source) {
+    if (this._envSource) this._disposeObject(this._envSource);
+    this._envSource = source;
+    this._renderEnvironment();
+  }
+
+  /**
+   * Entorno girado → cubemap (fondo) → PMREM (scene.environment). El
+   * entorno no gira con autoRotate: el modelo gira dentro de él.
+   */
+  _renderEnvironment() {
+    const source = this._envSource;
+    if (!source) return;
+    source.rotation.y = THREE.MathUtils.degToRad(this._envOptions.rotation);
+    if (!this._envCube) {
+      // Media precisión: los paneles pasan de 1
+      this._envCube = new THREE.WebGLCubeRenderTarget(256, {
+        type: THREE.HalfFloatType,
+      });
+      this._envCamera = new THREE.CubeCamera(0.1, 100, this._envCube);
+    }
+    this._envCamera.update(this.renderer, source);
+    const prev = this._envTarget;
+    this._envTarget = this._pmrem.fromCubemap(this._envCube.texture);
+    if (prev) prev.dispose();
+    this.scene.environment = this._envTarget.texture;
+    this.scene.background = this._envOptions.background
+      ? this._envCube.texture
+      : null;
+  }
+
+  /**
+   * Selección con ratón o toque: un clic/toque sobre una malla de una
+   * entrada de keyModels (sus modelos, sus overrides o config.nodes) la
+   * acciona. Si el puntero se mueve más de pickThreshold px es un arrastre
+   * de OrbitControls y no cuenta.
+   */
+  _setupPicking() {
+    this.raycaster = new THREE.Raycaster();
+    this._pointer = null;
+    const canvas = this.renderer.domElement;
+
+    this._onPointerDown = (e) => {
+      // Sólo el botón principal: el derecho y el central son de la órbita
+      if (!e.isPrimary || e.button !== 0) return;
+      // En modo anotación el clic deja un pin en vez de accionar
+      if (this.annotating) {
+        this._pointer = { x: e.clientX, y: e.clientY, annotate: true };
+        return;
+      }
+      const pick = this._pickKeyModel(e);
+      const code = pick ? pick.code : null;
+      this._pointer = { x: e.clientX, y: e.clientY, pick, code, held: false };
+      // Momentary actúa al bajar el dedo y bloquea la órbita mientras dura
+      if (code && this.keyModels[code].mode === 'momentary') {
+        this._pointer.held = true;
+        if (this.controls) this.controls.enabled = false;
+        this.dispatchEvent({ type: 'pick', ...pick });
+        this._pressKeyModel(code);
+      }
+    };
+    this._onPointerUp = (e) => {
+      const p = this._pointer;
+      if (!p || !e.isPrimary) return;
+      this._pointer = null;
+      if (p.held) {
+        if (this.controls) this.controls.enabled = this.enableControls;
+        this._releaseKeyModel(p.code);
+        return;
+      }
+      const moved = Math.hypot(e.clientX - p.x, e.clientY - p.y);
+      if (moved > this.pickThreshold || e.type !== 'pointerup') return;
+      if (p.annotate) {
+        this._placeAnnotation(e);
+      } else if (p.code) {
+        // Un arrastre de la órbita no es un pick
+        this.dispatchEvent({ type: 'pick', ...p.pick });
+        this._pressKeyModel(p.code);
+      }
+    };
+    canvas.addEventListener('pointerdown', this._onPointerDown);
+    // En el documento, para soltar fuera del canvas; se registra antes que
+    // el de OrbitControls y así reactiva los controles a tiempo
+    document.addEventListener('pointerup', this._onPointerUp);
+    document.addEventListener('pointercancel', this._onPointerUp);
+  }
+
+  /** Objetos visibles bajo el puntero, del más cercano al más lejano. */
+  _raycast(e, objects, recursive = true) {
+    this._setRay(e);
+    // El raycaster de three no mira .visible; a través de los fantasmas de
+    // rayos X se toca lo que hay dentro
+    return this.raycaster
+      .intersectObjects(objects, recursive)
+      .filter(
+        (hit) =>
+          this._isVisible(hit.object) && !this._xrayGhosts.has(hit.object)
+      );
+  }
+
+  /** Rayo de la cámara por el punto del puntero. */
+  _setRay(e) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(ndc, this.camera);
+  }
+
+  _isVisible(obj) {
+    for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+    return true;
+  }
+
+  /**
+   * Malla más cercana bajo el puntero y su código de keyModels.
+   * @returns {{object, code}|null}
+   */
+  _pickKeyModel(e) {
+    if (!Object.keys(this.keyModels).length) return null;
+    const hit = this._raycast(e, this._allRoots())[0];
+    if (!hit) return null;
+    const owners = this._pickOwners();
+    for (let o = hit.object; o; o = o.parent) {
+      if (owners.has(o)) return { object: hit.object, code: owners.get(o) };
+    }
+    return null;
+  }
+
+  /** Mapa objeto → código; los nodos configurados tienen prioridad. */
+  _pickOwners() {
+    if (this._owners) return this._owners;
+    const owners = new Map();
+    for (const code in this.keyModels) {
+      const km = this.keyModels[code];
+      Object.values(km.roots).forEach((r) => owners.set(r, code));
+      if (!km.overrides) continue;
+      km.overrides.base.forEach((m, mesh) => owners.set(mesh, code));
+    }
+    for (const code in this.keyModels) {
+      const names = this.keyModels[code].nodes;
+      if (!names.length) continue;
+      this._allRoots().forEach((root) =>
+        root.traverse((n) => {
+          if (names.some((name) => this._matchesName(n, name))) {
+            owners.set(n, code);
+          }
+        })
+      );
+    }
+    this._owners = owners;
+    return owners;
+  }
+
+  /**
+   * Resaltado al pasar el puntero y tooltip con el nombre del componente.
+   * config.hover: true o { color, intensity, throttle (ms) }. Los objetos
+   * ocultos o con userData.interactive === false no se consideran.
+   */
+  _setupHover(options) {
+    this.hoverConfig = {
+      color: 0x4caf50,
+      intensity: 0.6,
+      throttle: 50,
+      ...(options === true ? {} : options),
+    };
+    this._hovered = null;
+    this._hoverMaterials = new Map();
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'glb-tooltip';
+    this.tooltip.style.display = 'none';
+    this.container.appendChild(this.tooltip);
+
+    const canvas = this.renderer.domElement;
+    this._onPointerMove = (e) => {
+      this._hoverEvent = e;
+      if (this._hoverTimer) return;
+      this._hoverTimer = setTimeout(() => {
+        this._hoverTimer = null;
+        this._updateHover(this._hoverEvent);
+      }, this.hoverConfig.throttle);
+    };
+    this._onPointerLeave = () => this._setHovered(null);
+    canvas.addEventListener('pointermove', this._onPointerMove);
+    canvas.addEventListener('pointerleave', this._onPointerLeave);
+  }
+
+  _updateHover(e) {
+    // Mientras se arrastra la cámara no se resalta nada
+    if (this._disposed || e.buttons) return this._setHovered(null);
+    const hit = this._raycast(e, this._interactiveMeshes(), false)[0];
+    this._setHovered(hit ? hit.object : null);
+    if (!hit) return;
+    const rect = this.container.getBoundingClientRect();
+    this.tooltip.style.left = e.clientX - rect.left + 12 + 'px';
+    this.tooltip.style.top = e.clientY - rect.top + 12 + 'px';
+  }
+
+  /** Mallas visibles que admiten interacción. */
+  _interactiveMeshes() {
+    const meshes = [];
+    this._allRoots().forEach((root) => {
+      if (!this._isVisible(root)) return;
+      root.traverse((n) => {
+        if (n.isMesh && n.visible && n.userData.interactive !== false) {
+          meshes.push(n);
+        }
+      });
+    });
+    return meshes.filter((m) => this._isVisible(m));
+  }
+
+  _setHovered(mesh) {
+    if (mesh === this._hovered) return;
+    const prev = this._hovered;
+    // Sólo se restaura si nadie (estado, variante) ha cambiado el material
+    const base = this._hoverBase;
+    if (prev && this._hoverMaterials.get(base) === prev.material) {
+      prev.material = base;
+    }
+    this._hovered = mesh;
+
+    const canvas = this.renderer.domElement;
+    if (!mesh) {
+      this.tooltip.style.display = 'none';
+      canvas.style.cursor = '';
+      return;
+    }
+    this._hoverBase = mesh.material;
+    mesh.material = this._hoverMaterial(mesh.material);
+    const info = this.getInfo(mesh);
+    this.tooltip.textContent = info.label;
+    if (info.partNumber) {
+      const part = document.createElement('small');
+      part.textContent = info.partNumber;
+      this.tooltip.appendChild(part);
+    }
+    this.tooltip.style.display = 'block';
+    // Cursor de mano si al tocarlo se acciona algo
+    let clickable = false;
+    for (let o = mesh; o && !clickable; o = o.parent) {
+      clickable = this._pickOwners().has(o);
+    }
+    canvas.style.cursor = clickable ? 'pointer' : '';
+    this.dispatchEvent({ type: 'hover', object: mesh });
+  }
+
+  /** Clon teñido del material, uno por material original. */
+  _hoverMaterial(material) {
+    if (Array.isArray(material)) return material;
+    let tinted = this._hoverMaterials.get(material);
+    if (!tinted) {
+      tinted = material.clone();
+      // clone() copia los planos de corte; se comparten para que sigan al
+      // arrastrarlos, y la tapa del corte también
+      tinted.clippingPlanes = material.clippingPlanes;
+      tinted.onBeforeCompile = material.onBeforeCompile;
+      const { color, intensity } = this.hoverConfig;
+      if (tinted.emissive) {
+        tinted.emissive.set(color);
+        tinted.emissiveIntensity = intensity;
+      } else if (tinted.color) {
+        tinted.color.lerp(new THREE.Color(color), intensity);
+      }
+      this._hoverMaterials.set(material, tinted);
+    }
+    return tinted;
+  }
+
+  /**
+   * Nombre legible de un objeto: mapeo de GLBLabels, luego extras del glTF
+   * (userData.label / userData.name) y por último el nombre del nodo.
+   */
+  getLabel(object) {
+    return this.getInfo(object).label;
+  }
+
+  /**
+   * Datos del componente: { name, label, partNumber, description,
+   * category }. name es el nodo del que sale la información.
+   */
+  getInfo(object) {
+    for (let o = object; o && o !== this.scene; o = o.parent) {
+      const entry = this.labels.lookup(o.name);
+      if (entry && entry.label) return { name: o.name, ...entry };
+      const extra = this._extraLabel(o);
+      if (extra) return { name: o.name, ...this._emptyInfo(), label: extra };
+    }
+    for (let o = object; o && o !== this.scene; o = o.parent) {
+      if (o.name) return { name: o.name, ...this._emptyInfo(), label: o.name };
+    }
+    return { name: '', ...this._emptyInfo(), label: '' };
+  }
+
+  /** El exportador copia el nombre del nodo en extras.name; eso no cuenta. */
+  _extraLabel(o) {
+    const { label, name } = o.userData;
+    return label || (name !== o.name ? name : null);
+  }
+
+  _emptyInfo() {
+    return { partNumber: null, description: null, category: null };
+  }
+
+  /**
+   * Nodos con nombre de los modelos cargados que no tienen mapeo ni extras,
+   * para que el equipo de contenido complete config.labels.
+   */
+  getUnmappedNodes() {
+    const names = [];
+    this._allRoots().forEach((root) =>
+      root.traverse((n) => {
+        if (n === root || !n.name) return;
+        if (this._extraLabel(n)) return;
+        names.push(n.name);
+      })
+    );
+    return this.labels.unmapped(names);
+  }
+
+  /** Árbol de escena con nombres legibles y nodos sin mapear (debug). */
+  _logLabels() {
+    console.groupCollapsed('GLBModel scene');
+    this._allRoots().forEach((root) =>
+      root.traverse((n) => {
+        if (n === root || !n.name) return;
+        let depth = 0;
+        for (let o = n.parent; o && o !== root; o = o.parent) depth++;
+        const label = this.getLabel(n);
+        const suffix = label !== n.name ? ' → ' + label : '';
+        console.log('  '.repeat(depth) + n.name + suffix);
+      })
+    );
+    console.groupEnd();
+    const unmapped = this.getUnmappedNodes();
+    if (unmapped.length) console.warn('Unmapped nodes:', unmapped);
+  }
+
+  onWindowResize() {
+    // Durante una grabación con resolución propia se mantiene el tamaño
+    if (this._recordSize) return;
+    const { width, height } = this._getSize();
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  animate() {
+    this._frameId = requestAnimationFrame(this._animate);
+    this._renderFrame(this.clock.getDelta());
+  }
+
+  /** Un frame: animaciones (delta en segundos), controles, giro y render. */
+  _renderFrame(delta) {
+    const animated = this.mixers.length > 0;
+    if (animated) this._shiftAnimated(false);
+    this.mixers.forEach((m) => m.update(delta));
+    if (this._explodeAnim) this._stepExplode();
+    if (animated) this._shiftAnimated(true);
+
+    if (this.enableControls) this.controls.update();
+    if (this.autoRotate) this.scene.rotation.y += this.rotationSpeed;
+    // Los planos giran con la escena
+    if (this._clipPlanes.length) this._updateClipPlanes();
+    if (this._viewAnim) this._stepView();
+
+    this.renderer.render(this.scene, this.camera);
+    // Con las matrices de este frame
+    if (this.hotspots.length || this.annotations.length || this.selection) {
+      this._updateHotspots();
+    }
+  }
+
+  /**
+   * Detiene el bucle de render, quita los listeners y libera geometrías,
+   * materiales, texturas, mixers y el contexto WebGL.
+   */
+  dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
+
+    cancelAnimationFrame(this._frameId);
+    if (this._recorder?.state === 'recording') this._recorder.stop();
+    if (this._envSource) this._disposeObject(this._envSource);
+    if (this._envTarget) this._envTarget.dispose();
+    if (this._envCube) this._envCube.dispose();
+    if (this._pmrem) this._pmrem.dispose();
+    window.removeEventListener('resize', this._onResize, false);
+    if (this.keyboard) {
+      const el = this.container;
+      el.removeEventListener('pointerdown', this._onFocusPointer);
+      el.removeEventListener('keydown', this._onKeyDown);
+      el.removeEventListener('keyup', this._onKeyUp);
+      el.removeEventListener('focusout', this._onBlur);
+      if (this._addedTabIndex) el.removeAttribute('tabindex');
+    }
+    if (this._onHashChange) {
+      window.removeEventListener('hashchange', this._onHashChange);
+      clearTimeout(this._hashTimer);
+    }
+    this.renderer.domElement.removeEventListener(
+      'pointerdown',
+      this._onPointerDown
+    );
+    document.removeEventListener('pointerup', this._onPointerUp);
+    document.removeEventListener('pointercancel', this._onPointerUp);
+    this.renderer.domElement.removeEventListener(
+      'pointerdown',
+      this._onClipPointerDown,
+      true
+    );
+    if (this._onDblClick) {
+      this.renderer.domElement.removeEventListener(
+        'dblclick',
+        this._onDblClick
+      );
+      this.renderer.domElement.removeEventListener('pointerup', this._onTap);
+    }
+    document.removeEventListener('pointermove', this._onClipPointerMove);
+    document.removeEventListener('pointerup', this._onClipPointerUp);
+    document.removeEventListener('pointercancel', this._onClipPointerUp);
+    if (this.tooltip) {
+      clearTimeout(this._hoverTimer);
+      this._setHovered(null);
+      this.renderer.domElement.removeEventListener(
+        'pointermove',
+        this._onPointerMove
+      );
+      this.renderer.domElement.removeEventListener(
+        'pointerleave',
+        this._onPointerLeave
+      );
+      this._hoverMaterials.forEach((m) => m.dispose());
+      this.tooltip.remove();
+    }
+
+    if (this.controls) this.controls.dispose();
+
+    this.mixers.forEach((m) => {
+      m.stopAllAction();
+      m.uncacheRoot(m.getRoot());
+    });
+    this.mixers.length = 0;
+
+    this._restoreViewMaterials();
+    Object.values(this._xrayMaterials).forEach((cache) =>
+      cache.forEach((m) => m.dispose())
+    );
+    this._clipMaterials.forEach((m) => m.dispose());
+    this._resetOverrides();
+    // Materiales de variantes y por defecto que no estén en escena
+    this._variantMaterials.forEach((m) => this._disposeMaterial(m));
+    this._defaultMaterials.forEach((m) => this._disposeMaterial(m));
+    this._variantParsers.clear();
+    this._disposeObject(this.scene);
+    this.scene.clear();
+
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.renderer.domElement.remove();
+    if (this.panel) this.panel.remove();
+    this.hotspotLayer.remove();
+    // La pantalla de carga y el contenedor pueden ser de otro visor nuevo
+    if (this.errorList) this.errorList.remove();
+    if (this._dismissButton) this._dismissButton.remove();
+    this.container.classList.remove('glb-annotating');
+
+    this._rejectReady(new Error('GLBModel disposed'));
+  }
+
+  _disposeObject(root) {
+    root.traverse((n) => {
+      if (n.geometry) n.geometry.dispose();
+      if (!n.material) return;
+      const mats = Array.isArray(n.material) ? n.material : [n.material];
+      mats.forEach((mat) => this._disposeMaterial(mat));
+    });
+  }
+
+  _disposeMaterial(mat) {
+    for (const key in mat) {
+      if (mat[key] && mat[key].isTexture) mat[key].dispose();
+    }
+    mat.dispose();
   }
 }
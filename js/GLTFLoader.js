@@ -28,6 +28,31 @@
 
 				return new GLTFMaterialsTransmissionExtension( parser );
 
+			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsSpecularExtension( parser );
+
+			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsIorExtension( parser );
+
+			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsVolumeExtension( parser );
+
+			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsSheenExtension( parser );
+
+			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsEmissiveStrengthExtension( parser );
+
 			} );
 			this.register( function ( parser ) {
 
@@ -39,6 +64,11 @@
 				return new GLTFMeshoptCompression( parser );
 
 			} );
+			this.register( function ( parser ) {
+
+				return new GLTFMaterialsVariantsExtension( parser );
+
+			} );
 
 		}
 
@@ -319,9 +349,15 @@
 		KHR_DRACO_MESH_COMPRESSION: 'KHR_draco_mesh_compression',
 		KHR_LIGHTS_PUNCTUAL: 'KHR_lights_punctual',
 		KHR_MATERIALS_CLEARCOAT: 'KHR_materials_clearcoat',
+		KHR_MATERIALS_EMISSIVE_STRENGTH: 'KHR_materials_emissive_strength',
+		KHR_MATERIALS_IOR: 'KHR_materials_ior',
 		KHR_MATERIALS_PBR_SPECULAR_GLOSSINESS: 'KHR_materials_pbrSpecularGlossiness',
+		KHR_MATERIALS_SHEEN: 'KHR_materials_sheen',
+		KHR_MATERIALS_SPECULAR: 'KHR_materials_specular',
 		KHR_MATERIALS_TRANSMISSION: 'KHR_materials_transmission',
 		KHR_MATERIALS_UNLIT: 'KHR_materials_unlit',
+		KHR_MATERIALS_VARIANTS: 'KHR_materials_variants',
+		KHR_MATERIALS_VOLUME: 'KHR_materials_volume',
 		KHR_TEXTURE_BASISU: 'KHR_texture_basisu',
 		KHR_TEXTURE_TRANSFORM: 'KHR_texture_transform',
 		KHR_MESH_QUANTIZATION: 'KHR_mesh_quantization',
@@ -632,6 +668,336 @@
 
 		}
 
+	}
+	/**
+	 * Specular Materials Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_specular
+	 *
+	 * This build of MeshPhysicalMaterial has no specularIntensity/specularColor,
+	 * so the dielectric F0 the extension describes ( ior, specularFactor and the
+	 * brightest channel of specularColorFactor ) is folded into .reflectivity,
+	 * where F0 = 0.16 * reflectivity^2. specularTexture and
+	 * specularColorTexture cannot be represented and are ignored.
+	 */
+
+
+	class GLTFMaterialsSpecularExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_SPECULAR;
+
+		}
+
+		getMaterialType( materialIndex ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) return null;
+			return THREE.MeshPhysicalMaterial;
+
+		}
+
+		extendMaterialParams( materialIndex, materialParams ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) {
+
+				return Promise.resolve();
+
+			}
+
+			const extension = materialDef.extensions[ this.name ];
+			const iorExtension = materialDef.extensions[ EXTENSIONS.KHR_MATERIALS_IOR ];
+			const ior = iorExtension && iorExtension.ior !== undefined ? iorExtension.ior : 1.5;
+			const specularFactor = extension.specularFactor !== undefined ? extension.specularFactor : 1.0;
+			const colorFactor = extension.specularColorFactor || [ 1, 1, 1 ];
+			const f0 = Math.pow( ( ior - 1 ) / ( ior + 1 ), 2 ) * specularFactor * Math.max( colorFactor[ 0 ], colorFactor[ 1 ], colorFactor[ 2 ] );
+			materialParams.reflectivity = THREE.MathUtils.clamp( Math.sqrt( f0 / 0.16 ), 0, 1 );
+			return Promise.resolve();
+
+		}
+
+	}
+	/**
+	 * IOR Materials Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_ior
+	 *
+	 * When KHR_materials_specular is also present it already accounts for the
+	 * ior, so it is left to that extension.
+	 */
+
+
+	class GLTFMaterialsIorExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_IOR;
+
+		}
+
+		getMaterialType( materialIndex ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) return null;
+			return THREE.MeshPhysicalMaterial;
+
+		}
+
+		extendMaterialParams( materialIndex, materialParams ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] || materialDef.extensions[ EXTENSIONS.KHR_MATERIALS_SPECULAR ] ) {
+
+				return Promise.resolve();
+
+			}
+
+			const extension = materialDef.extensions[ this.name ];
+			materialParams.ior = extension.ior !== undefined ? extension.ior : 1.5;
+			return Promise.resolve();
+
+		}
+
+	}
+	/**
+	 * Volume Materials Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_volume
+	 *
+	 * This build of MeshPhysicalMaterial has no thickness or attenuation, so
+	 * the values are kept in material.userData ( thickness, attenuationColor and
+	 * attenuationDistance ) for code that wants to approximate them.
+	 */
+
+
+	class GLTFMaterialsVolumeExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_VOLUME;
+
+		}
+
+		getMaterialType( materialIndex ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) return null;
+			return THREE.MeshPhysicalMaterial;
+
+		}
+
+		extendMaterialParams( materialIndex, materialParams ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) {
+
+				return Promise.resolve();
+
+			}
+
+			const extension = materialDef.extensions[ this.name ];
+			const colorArray = extension.attenuationColor || [ 1, 1, 1 ];
+			const volume = {
+				thickness: extension.thicknessFactor !== undefined ? extension.thicknessFactor : 0,
+				attenuationColor: new THREE.Color().fromArray( colorArray ).getHex()
+			}; // Omitted means infinite distance ( userData must stay JSON-safe for clone() ).
+
+			if ( extension.attenuationDistance !== undefined ) volume.attenuationDistance = extension.attenuationDistance;
+			materialParams.userData = Object.assign( materialParams.userData || {}, volume );
+			return Promise.resolve();
+
+		}
+
+	}
+	/**
+	 * Sheen Materials Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_sheen
+	 *
+	 * MeshPhysicalMaterial.sheen is a single color here; sheenRoughness and the
+	 * sheen textures are not supported by this build.
+	 */
+
+
+	class GLTFMaterialsSheenExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_SHEEN;
+
+		}
+
+		getMaterialType( materialIndex ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) return null;
+			return THREE.MeshPhysicalMaterial;
+
+		}
+
+		extendMaterialParams( materialIndex, materialParams ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) {
+
+				return Promise.resolve();
+
+			}
+
+			const extension = materialDef.extensions[ this.name ];
+
+			if ( extension.sheenColorFactor !== undefined ) {
+
+				const color = new THREE.Color().fromArray( extension.sheenColorFactor ); // A black sheen is the same as no sheen.
+
+				if ( color.r + color.g + color.b > 0 ) materialParams.sheen = color;
+
+			}
+
+			return Promise.resolve();
+
+		}
+
+	}
+	/**
+	 * Emissive Strength Materials Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_emissive_strength
+	 */
+
+
+	class GLTFMaterialsEmissiveStrengthExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_EMISSIVE_STRENGTH;
+
+		}
+
+		extendMaterialParams( materialIndex, materialParams ) {
+
+			const parser = this.parser;
+			const materialDef = parser.json.materials[ materialIndex ];
+
+			if ( ! materialDef.extensions || ! materialDef.extensions[ this.name ] ) {
+
+				return Promise.resolve();
+
+			}
+
+			const emissiveStrength = materialDef.extensions[ this.name ].emissiveStrength;
+
+			if ( emissiveStrength !== undefined ) {
+
+				materialParams.emissiveIntensity = emissiveStrength;
+
+			}
+
+			return Promise.resolve();
+
+		}
+
+	}
+	/**
+	 * Materials Variants Extension
+	 *
+	 * Specification: https://github.com/KhronosGroup/glTF/tree/master/extensions/2.0/Khronos/KHR_materials_variants
+	 *
+	 * Exposes the variant names as gltf.userData.variants and, on each mesh
+	 * with mappings, mesh.userData.variantMaterials ( variant name -> material
+	 * index ). Variant materials are loaded up front, so
+	 * parser.getDependency( 'material', index ) resolves from the cache.
+	 */
+
+
+	class GLTFMaterialsVariantsExtension {
+
+		constructor( parser ) {
+
+			this.parser = parser;
+			this.name = EXTENSIONS.KHR_MATERIALS_VARIANTS;
+
+		}
+
+		afterRoot( gltf ) {
+
+			const parser = this.parser;
+			const json = parser.json;
+			const name = this.name;
+
+			if ( ! json.extensions || ! json.extensions[ name ] ) return null;
+
+			const variants = ( json.extensions[ name ].variants || [] ).map( function ( variant, index ) {
+
+				return variant.name || 'variant_' + index;
+
+			} );
+			gltf.userData.variants = variants;
+			const pending = [];
+
+			for ( let i = 0; i < gltf.scenes.length; i ++ ) {
+
+				gltf.scenes[ i ].traverse( function ( object ) {
+
+					const association = parser.associations.get( object );
+					if ( ! association || association.type !== 'nodes' ) return;
+					const nodeDef = json.nodes[ association.index ];
+					if ( nodeDef.mesh === undefined ) return;
+					const primitives = json.meshes[ nodeDef.mesh ].primitives; // Multi-primitive meshes are groups whose first children are the primitives.
+
+					const meshes = object.isMesh ? [ object ] : object.children.slice( 0, primitives.length );
+
+					for ( let j = 0; j < primitives.length; j ++ ) {
+
+						const extension = primitives[ j ].extensions && primitives[ j ].extensions[ name ];
+						if ( ! extension || ! meshes[ j ] ) continue;
+						const variantMaterials = {};
+
+						for ( let k = 0; k < extension.mappings.length; k ++ ) {
+
+							const mapping = extension.mappings[ k ];
+
+							for ( let v = 0; v < mapping.variants.length; v ++ ) {
+
+								variantMaterials[ variants[ mapping.variants[ v ] ] ] = mapping.material;
+
+							}
+
+							pending.push( parser.getDependency( 'material', mapping.material ) );
+
+						}
+
+						meshes[ j ].userData.variantMaterials = variantMaterials;
+
+					}
+
+				} );
+
+			}
+
+			return Promise.all( pending );
+
+		}
+
 	}
 	/**
 	 * BasisU Texture Extension